@@ -0,0 +1,93 @@
+// Bulk issue operations for `gis bulk`.
+// Actions are applied to the current state of each issue on GitHub, so labels
+// and assignees added since the last sync are kept.
+
+import { toList } from './utils.js';
+
+export const CLOSE_REASONS = ['completed', 'not_planned'];
+
+/**
+ * Actions from the command line options. `milestone` is left as given
+ * (title, number or "none") for the caller to resolve.
+ */
+export function parseBulkActions(options) {
+  const actions = {
+    addLabels: toList(options.addLabels),
+    removeLabels: toList(options.removeLabels),
+    assign: toList(options.assign).map(login => login.replace(/^@/, '')),
+    unassign: toList(options.unassign).map(login => login.replace(/^@/, '')),
+    close: null,
+    milestone: options.milestone ?? null
+  };
+
+  if (options.close) {
+    actions.close = options.close === true ? 'completed' : options.close;
+    if (!CLOSE_REASONS.includes(actions.close)) {
+      throw new Error(`Invalid close reason '${actions.close}'. Valid reasons: ${CLOSE_REASONS.join(', ')}`);
+    }
+  }
+
+  const hasAction = actions.addLabels.length > 0 || actions.removeLabels.length > 0 ||
+    actions.assign.length > 0 || actions.unassign.length > 0 ||
+    actions.close !== null || actions.milestone !== null;
+  if (!hasAction) {
+    throw new Error('No action given. Use --add-labels, --remove-labels, --assign, --unassign, --close or --milestone');
+  }
+
+  return actions;
+}
+
+export function describeBulkActions(actions) {
+  return [
+    ...actions.addLabels.map(label => `+label ${label}`),
+    ...actions.removeLabels.map(label => `-label ${label}`),
+    ...actions.assign.map(login => `+assignee @${login}`),
+    ...actions.unassign.map(login => `-assignee @${login}`),
+    ...(actions.close ? [`close (${actions.close})`] : []),
+    ...(actions.milestone !== null ? [`milestone ${actions.milestone}`] : [])
+  ];
+}
+
+/**
+ * Update for one issue, or null when the actions change nothing.
+ * `milestoneNumber` is the resolved milestone (null to clear it).
+ */
+export function planBulkUpdate(issue, actions, milestoneNumber) {
+  const update = {};
+  const changes = [];
+
+  const labels = (issue.labels || []).map(label => (typeof label === 'string' ? label : label.name));
+  const newLabels = [...new Set([...labels, ...actions.addLabels])].filter(label => !actions.removeLabels.includes(label));
+  const labelChanges = [
+    ...newLabels.filter(label => !labels.includes(label)).map(label => `+${label}`),
+    ...labels.filter(label => !newLabels.includes(label)).map(label => `-${label}`)
+  ];
+  if (labelChanges.length > 0) {
+    update.labels = newLabels;
+    changes.push(`labels ${labelChanges.join(' ')}`);
+  }
+
+  const assignees = (issue.assignees || []).map(assignee => assignee.login);
+  const newAssignees = [...new Set([...assignees, ...actions.assign])].filter(login => !actions.unassign.includes(login));
+  const assigneeChanges = [
+    ...newAssignees.filter(login => !assignees.includes(login)).map(login => `+@${login}`),
+    ...assignees.filter(login => !newAssignees.includes(login)).map(login => `-@${login}`)
+  ];
+  if (assigneeChanges.length > 0) {
+    update.assignees = newAssignees;
+    changes.push(`assignees ${assigneeChanges.join(' ')}`);
+  }
+
+  if (actions.close && issue.state !== 'closed') {
+    update.state = 'closed';
+    update.state_reason = actions.close;
+    changes.push(`closed (${actions.close})`);
+  }
+
+  if (actions.milestone !== null && (issue.milestone?.number ?? null) !== milestoneNumber) {
+    update.milestone = milestoneNumber;
+    changes.push(milestoneNumber === null ? 'milestone removed' : `milestone ${actions.milestone}`);
+  }
+
+  return changes.length > 0 ? { update, changes } : null;
+}
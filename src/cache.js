@@ -7,18 +7,27 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const PROJECT_ROOT = path.join(__dirname, '..');
 
+// Keys of the responses kept for conditional requests. They are not counted
+// against maxCacheSize (evicting them would make every sync download in full
+// again) and are removed once revalidateTTL has passed instead.
+export const CONDITIONAL_KEY_PREFIX = 'etag_';
+
 export class CacheManager {
   constructor(options = {}) {
     this.cacheDir = options.cacheDir || path.join(PROJECT_ROOT, '.cache');
     this.defaultTTL = options.defaultTTL || 5 * 60 * 1000; // 5 minutes
     this.maxCacheSize = options.maxCacheSize || 100; // Maximum number of cache entries
+    this.namespace = options.namespace || '';
+    // Entries with an ETag/Last-Modified validator outlive their TTL so they can be revalidated
+    this.revalidateTTL = options.revalidateTTL || 7 * 24 * 60 * 60 * 1000; // 7 days
+    this.writesSinceSizeCheck = 0;
     
     ensureDirectoryExists(this.cacheDir);
     this.cleanupExpiredEntries();
   }
 
   async generateCacheKey(prefix, params) {
-    const normalizedParams = JSON.stringify(params, Object.keys(params).sort());
+    const normalizedParams = this.namespace + JSON.stringify(params, Object.keys(params).sort());
     const crypto = await import('crypto');
     const hash = crypto.createHash('md5').update(normalizedParams).digest('hex');
     return `${prefix}_${hash}`;
@@ -28,7 +37,7 @@ export class CacheManager {
     return path.join(this.cacheDir, `${key}.json`);
   }
 
-  set(key, data, ttl = this.defaultTTL) {
+  set(key, data, ttl = this.defaultTTL, validators = {}) {
     try {
       const cacheEntry = {
         data,
@@ -37,10 +46,21 @@ export class CacheManager {
         expires: Date.now() + ttl
       };
       
+      if (validators.etag || validators.lastModified) {
+        cacheEntry.etag = validators.etag || null;
+        cacheEntry.lastModified = validators.lastModified || null;
+        cacheEntry.revalidateUntil = Date.now() + this.revalidateTTL;
+      }
+      
       const cachePath = this.getCachePath(key);
       fs.writeFileSync(cachePath, JSON.stringify(cacheEntry, null, 2));
       
-      this.enforceMaxCacheSize();
+      // Scanning the whole cache directory on every write gets slow for large caches
+      this.writesSinceSizeCheck++;
+      if (this.writesSinceSizeCheck >= 50) {
+        this.writesSinceSizeCheck = 0;
+        this.enforceMaxCacheSize();
+      }
     } catch (error) {
       console.warn(`Warning: Failed to write cache: ${error.message}`);
     }
@@ -58,7 +78,9 @@ export class CacheManager {
       const cacheEntry = JSON.parse(cacheContent);
       
       if (Date.now() > cacheEntry.expires) {
-        this.delete(key);
+        if (!this.canRevalidate(cacheEntry)) {
+          this.delete(key);
+        }
         return null;
       }
       
@@ -69,6 +91,51 @@ export class CacheManager {
     }
   }
 
+  /**
+   * Return the raw entry including validators, even if its TTL has passed.
+   */
+  getEntry(key) {
+    try {
+      const cachePath = this.getCachePath(key);
+      
+      if (!fs.existsSync(cachePath)) {
+        return null;
+      }
+      
+      const cacheEntry = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+      
+      if (Date.now() > cacheEntry.expires && !this.canRevalidate(cacheEntry)) {
+        this.delete(key);
+        return null;
+      }
+      
+      return cacheEntry;
+    } catch (error) {
+      console.warn(`Warning: Failed to read cache: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Start a new TTL period for an entry the server confirmed as unchanged.
+   */
+  renew(key, ttl = this.defaultTTL) {
+    const cacheEntry = this.getEntry(key);
+    if (!cacheEntry) {
+      return;
+    }
+    
+    this.set(key, cacheEntry.data, ttl, {
+      etag: cacheEntry.etag,
+      lastModified: cacheEntry.lastModified
+    });
+  }
+
+  canRevalidate(cacheEntry) {
+    return !!(cacheEntry.etag || cacheEntry.lastModified) &&
+      Date.now() <= (cacheEntry.revalidateUntil || 0);
+  }
+
   delete(key) {
     try {
       const cachePath = this.getCachePath(key);
@@ -80,6 +147,19 @@ export class CacheManager {
     }
   }
 
+  /**
+   * Remove every entry whose key starts with `prefix`.
+   */
+  deleteByPrefix(prefix) {
+    try {
+      fs.readdirSync(this.cacheDir)
+        .filter(file => file.startsWith(prefix) && file.endsWith('.json'))
+        .forEach(file => fs.unlinkSync(path.join(this.cacheDir, file)));
+    } catch (error) {
+      console.warn(`Warning: Failed to delete cache: ${error.message}`);
+    }
+  }
+
   clear() {
     try {
       const files = fs.readdirSync(this.cacheDir);
@@ -106,7 +186,7 @@ export class CacheManager {
           const content = fs.readFileSync(filePath, 'utf8');
           const entry = JSON.parse(content);
           
-          if (now > entry.expires) {
+          if (now > entry.expires && !this.canRevalidate(entry)) {
             fs.unlinkSync(filePath);
           }
         } catch (error) {
@@ -122,7 +202,7 @@ export class CacheManager {
   enforceMaxCacheSize() {
     try {
       const files = fs.readdirSync(this.cacheDir)
-        .filter(file => file.endsWith('.json'))
+        .filter(file => file.endsWith('.json') && !file.startsWith(CONDITIONAL_KEY_PREFIX))
         .map(file => {
           const filePath = path.join(this.cacheDir, file);
           const stats = fs.statSync(filePath);
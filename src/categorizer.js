@@ -0,0 +1,123 @@
+// Rule-based issue categorization.
+// Rules from `categorization.rules` are tried in order and the first match
+// names the folder an issue is written to; unmatched issues use the default.
+
+// Reproduces the original label heuristics when no rules are configured
+const DEFAULT_RULES = [
+  { folder: 'done', state: 'closed' },
+  { folder: 'blocked', label_pattern: 'blocked' },
+  { folder: 'active', label_pattern: 'in progress|active' }
+];
+const DEFAULT_FOLDERS = ['active', 'todo', 'done', 'blocked'];
+const DEFAULT_FOLDER_NAMES = {
+  active: 'Active Issues',
+  todo: 'Todo Issues',
+  done: 'Recently Completed',
+  blocked: 'Blocked Issues'
+};
+
+export const RULE_CONDITIONS = [
+  'state',
+  'state_reason',
+  'labels',
+  'label_pattern',
+  'milestone',
+  'assignee',
+  'title_pattern',
+  'body_pattern'
+];
+
+const toList = value => (Array.isArray(value) ? value : [value]).map(item => String(item).toLowerCase());
+
+// '*' matches any value, 'none' matches a missing one
+function matchesValue(expected, actual) {
+  return toList(expected).some(item => {
+    if (item === '*') return actual !== null;
+    if (item === 'none') return actual === null;
+    return actual !== null && item === actual.toLowerCase();
+  });
+}
+
+function matchesAny(expected, actualValues) {
+  if (actualValues.length === 0) {
+    return matchesValue(expected, null);
+  }
+  return actualValues.some(actual => matchesValue(expected, actual));
+}
+
+export class Categorizer {
+  constructor(config = {}) {
+    const rules = config.rules && config.rules.length > 0 ? config.rules : DEFAULT_RULES;
+
+    this.defaultFolder = config.default || 'todo';
+    this.rules = rules.map(rule => ({
+      ...rule,
+      label_pattern: rule.label_pattern ? new RegExp(rule.label_pattern, 'i') : null,
+      title_pattern: rule.title_pattern ? new RegExp(rule.title_pattern, 'i') : null,
+      body_pattern: rule.body_pattern ? new RegExp(rule.body_pattern, 'i') : null
+    }));
+
+    // Explicit order first, then folders in rule order, the default last
+    const folders = config.folders || (config.rules?.length > 0 ? [] : DEFAULT_FOLDERS);
+    this.folders = [...new Set([...folders, ...this.rules.map(rule => rule.folder), this.defaultFolder])];
+
+    this.folderNames = { ...DEFAULT_FOLDER_NAMES };
+    for (const rule of [...this.rules].reverse()) {
+      if (rule.name) {
+        this.folderNames[rule.folder] = rule.name;
+      }
+    }
+  }
+
+  categorize(issue) {
+    const rule = this.rules.find(candidate => this.matchesRule(candidate, issue));
+    return rule ? rule.folder : this.defaultFolder;
+  }
+
+  /**
+   * Every condition present on the rule has to match; list values match
+   * when any of their entries does.
+   */
+  matchesRule(rule, issue) {
+    const labels = (issue.labels || []).map(label => label.name);
+    const assignees = (issue.assignees || []).map(assignee => assignee.login);
+
+    if (rule.state && !matchesValue(rule.state, issue.state || null)) {
+      return false;
+    }
+    if (rule.state_reason && !matchesValue(rule.state_reason, issue.state_reason || null)) {
+      return false;
+    }
+    if (rule.labels && !matchesAny(rule.labels, labels)) {
+      return false;
+    }
+    if (rule.label_pattern && !labels.some(label => rule.label_pattern.test(label))) {
+      return false;
+    }
+    if (rule.milestone && !matchesValue(rule.milestone, issue.milestone?.title || null)) {
+      return false;
+    }
+    if (rule.assignee && !matchesAny(rule.assignee, assignees)) {
+      return false;
+    }
+    if (rule.title_pattern && !rule.title_pattern.test(issue.title || '')) {
+      return false;
+    }
+    if (rule.body_pattern && !rule.body_pattern.test(issue.body || '')) {
+      return false;
+    }
+
+    return true;
+  }
+
+  getFolders() {
+    return this.folders;
+  }
+
+  /**
+   * Heading for a folder in index.md, from the rule's `name` if it has one.
+   */
+  getFolderName(folder) {
+    return this.folderNames[folder] || `${folder.charAt(0).toUpperCase()}${folder.slice(1)}`;
+  }
+}
@@ -3,10 +3,22 @@
 import { Command } from 'commander';
 import chalk from 'chalk';
 import ora from 'ora';
+import inquirer from 'inquirer';
+import fs from 'fs';
+import os from 'os';
 import path from 'path';
+import { spawnSync } from 'child_process';
 import { ConfigManager } from './config.js';
-import { GitHubClient } from './github.js';
-import { FileManager } from './fileManager.js';
+import { GitHubClientRegistry } from './clientRegistry.js';
+import { FileManager, PULL_REQUEST_CATEGORIES } from './fileManager.js';
+import { SyncTracker } from './syncTracker.js';
+import { discussionMatchesCategories, issueMatchesFilters, toList } from './utils.js';
+import { parseIssueFile, planIssueUpdate, describeIssueUpdate } from './localEdits.js';
+import { parseDraft, listDrafts } from './drafts.js';
+import { parseBulkActions, describeBulkActions, planBulkUpdate } from './bulk.js';
+import { TaskPool } from './taskPool.js';
+import { SyncProgress } from './progress.js';
+import { ApiRecorder } from './recorder.js';
 
 const program = new Command();
 
@@ -27,6 +39,8 @@ program
   .option('--no-incremental', 'Force full sync, ignore previous sync data')
   .option('--force-reorganize', 'Force reorganization of files by current issue state')
   .option('--no-cache', 'Disable caching and fetch fresh data from GitHub')
+  .option('--record <dir>', 'Save every GitHub API response to a directory')
+  .option('--replay <dir>', 'Answer API requests from a recording instead of GitHub')
   .option('--dry-run', 'Show what would be synced without actually syncing')
   .action(async (options) => {
     try {
@@ -67,6 +81,88 @@ program
     }
   });
 
+program
+  .command('push')
+  .description('Push local edits of issue files back to GitHub')
+  .option('-c, --config <path>', 'Path to config file', './config.yml')
+  .option('-p, --project <name>', 'Push specific project only')
+  .option('-g, --group <name>', 'Push specific repository group only')
+  .option('--fields <list>', 'Only push these fields (comma separated, within push.fields)')
+  .option('--force', 'Overwrite fields that were also changed on GitHub')
+  .option('--dry-run', 'Show the changes without updating GitHub')
+  .action(async (options) => {
+    try {
+      await pushCommand(options);
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('create')
+  .description('Create GitHub issues from the markdown drafts in drafts/')
+  .option('-c, --config <path>', 'Path to config file', './config.yml')
+  .option('-p, --project <name>', 'Repository for drafts without repo: (and only create drafts for it)')
+  .option('-d, --dir <path>', 'Drafts directory (default: drafts.dir from config)')
+  .option('--dry-run', 'Show the issues without creating them')
+  .action(async (options) => {
+    try {
+      await createCommand(options);
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('comment <repo> <number>')
+  .description('Comment on an issue and refresh its local file')
+  .option('-c, --config <path>', 'Path to config file', './config.yml')
+  .option('-m, --message <text>', 'Comment text')
+  .option('-F, --file <path>', 'Read the comment text from a file ("-" for stdin)')
+  .action(async (repoName, number, options) => {
+    try {
+      await commentCommand(repoName, number, options);
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('bulk')
+  .description('Label, close, assign or set the milestone of many issues at once')
+  .option('-c, --config <path>', 'Path to config file', './config.yml')
+  .option('-p, --project <name>', 'Only issues of this project')
+  .option('-g, --group <name>', 'Only issues of this repository group')
+  .option('--state <state>', 'Select by state: open, closed, all', 'open')
+  .option('--labels <list>', 'Select by labels (comma separated)')
+  .option('--label-mode <mode>', 'How --labels match: any, all, none', 'any')
+  .option('--exclude-labels <list>', 'Skip issues with any of these labels')
+  .option('--assignee <login>', 'Select by assignee ("none" for unassigned)')
+  .option('--creator <login>', 'Select by author')
+  .option('--since <date>', 'Select issues updated after this date')
+  .option('--until <date>', 'Select issues updated before this date')
+  .option('--add-labels <list>', 'Labels to add')
+  .option('--remove-labels <list>', 'Labels to remove')
+  .option('--assign <logins>', 'Users to assign')
+  .option('--unassign <logins>', 'Users to unassign')
+  .option('--close [reason]', 'Close the issues (completed or not_planned)')
+  .option('--milestone <milestone>', 'Milestone title or number ("none" to clear)')
+  .option('--delay <ms>', 'Pause between updates (default: bulk.delay_ms from config)')
+  .option('--report <path>', 'Write the per-issue results as JSON')
+  .option('-y, --yes', 'Apply without asking for confirmation')
+  .option('--dry-run', 'Only list the matching issues')
+  .action(async (options) => {
+    try {
+      await bulkCommand(options);
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
 program
   .command('init')
   .description('Initialize configuration file')
@@ -84,52 +180,32 @@ async function syncCommand(options) {
   
   try {
     const configManager = new ConfigManager();
-    configManager.loadConfig(options.config);
+    configManager.loadConfig(options.config, { offline: !!options.replay });
     
     const performanceConfig = configManager.getPerformanceConfig();
-    const githubClient = new GitHubClient(configManager.getGitHubToken(), {
-      rateLimitDelay: performanceConfig.rate_limit_delay,
-      useCache: options.cache !== false
-    });
-    const fileManager = new FileManager(configManager, githubClient);
+    const recorder = createRecorder(options);
+    const clients = createClientRegistry(configManager, options, recorder);
+    await configManager.discoverRepositories(clients);
+    const fileManager = new FileManager(configManager, clients.getDefaultClient());
+    
+    const repositories = selectRepositories(configManager, options);
     
     spinner.text = 'Testing GitHub connection...';
-    const connected = await githubClient.testConnection();
+    const connected = await clients.testConnections(repositories);
     if (!connected) {
       throw new Error('Failed to connect to GitHub');
     }
     
-    let repositories = configManager.getRepositories();
-    
-    if (options.project) {
-      const filteredRepos = repositories.filter(repo => 
-        repo.repo === options.project || `${repo.owner}/${repo.repo}` === options.project
-      );
-      
-      if (filteredRepos.length === 0) {
-        throw new Error(`Project '${options.project}' not found in configuration`);
-      }
-      
-      repositories = filteredRepos;
-    } else if (options.group) {
-      try {
-        repositories = configManager.getRepositoriesByGroup(options.group);
-        console.log(chalk.blue(`Processing repository group: ${options.group}`));
-      } catch (error) {
-        throw new Error(`Repository group error: ${error.message}`);
-      }
-    }
-    
     spinner.stop();
     
     const useParallel = options.parallel !== false && repositories.length > 1;
     
     if (useParallel) {
       console.log(chalk.blue(`\\n🚀 Processing ${repositories.length} repositories in parallel...`));
-      await processRepositoriesInParallel(repositories, options, configManager, githubClient, fileManager, performanceConfig);
+      await processRepositoriesInParallel(repositories, options, configManager, clients, fileManager, performanceConfig);
     } else {
       console.log(chalk.blue(`\\n📁 Processing ${repositories.length} repositories sequentially...`));
-      await processRepositoriesSequentially(repositories, options, configManager, githubClient, fileManager);
+      await processRepositoriesSequentially(repositories, options, configManager, clients, fileManager);
     }
     
     // Create master index if enabled
@@ -138,6 +214,21 @@ async function syncCommand(options) {
       await createMasterIndex(repositories, configManager, fileManager);
     }
     
+    const notModifiedCount = clients.getNotModifiedCount();
+    if (notModifiedCount > 0) {
+      console.log(chalk.gray(`✓ ${notModifiedCount} responses revalidated as unchanged (304 Not Modified)`));
+    }
+    
+    const rateLimitWait = clients.getRateLimitWait();
+    if (rateLimitWait >= 1000) {
+      console.log(chalk.gray(`⏳ Waited ${Math.round(rateLimitWait / 1000)}s in total for GitHub rate limits`));
+    }
+    
+    if (recorder) {
+      const action = recorder.replaying ? 'Replayed' : 'Recorded';
+      console.log(chalk.gray(`✓ ${action} ${recorder.count} API responses (${recorder.dir})`));
+    }
+    
     console.log(chalk.green('\\n🎉 Sync completed successfully!'));
     
   } catch (error) {
@@ -146,6 +237,18 @@ async function syncCommand(options) {
   }
 }
 
+function logLocalNotes(fileManager, repo, kind = 'issues') {
+  const numbers = fileManager.findLocalNotes(repo, kind);
+  if (numbers.length > 0) {
+    console.log(`  Local Notes: ${numbers.length} (${numbers.map(number => `#${number}`).join(', ')})`);
+  }
+  
+  const kept = new SyncTracker(repo, kind).getKeptFiles();
+  if (kept.length > 0) {
+    console.log(`  Kept after deletion: ${kept.length} (${kept.map(entry => `#${entry.number} ${path.relative(process.cwd(), entry.filePath)}`).join(', ')})`);
+  }
+}
+
 async function statusCommand(options) {
   const spinner = ora('Loading configuration...').start();
   
@@ -153,20 +256,17 @@ async function statusCommand(options) {
     const configManager = new ConfigManager();
     configManager.loadConfig(options.config);
     
-    const performanceConfig = configManager.getPerformanceConfig();
-    const githubClient = new GitHubClient(configManager.getGitHubToken(), {
-      rateLimitDelay: performanceConfig.rate_limit_delay,
-      useCache: options.cache !== false
-    });
-    const fileManager = new FileManager(configManager, githubClient);
+    const clients = createClientRegistry(configManager, options);
+    await configManager.discoverRepositories(clients);
+    const fileManager = new FileManager(configManager, clients.getDefaultClient());
+    const repositories = configManager.getRepositories();
     
     spinner.text = 'Checking GitHub connection...';
-    const connected = await githubClient.testConnection();
+    const connected = await clients.testConnections(repositories);
     if (!connected) {
       throw new Error('Failed to connect to GitHub');
     }
     
-    const repositories = configManager.getRepositories();
     spinner.stop();
     
     console.log(chalk.blue('\\n📊 Repository Status:\\n'));
@@ -176,18 +276,55 @@ async function statusCommand(options) {
       
       try {
         const filters = configManager.getFiltersForRepository(repo.owner, repo.repo);
-        const issues = await githubClient.safeGetIssues(repo.owner, repo.repo, filters);
+        const contentTypes = configManager.getRepositoryContentTypes(repo);
         
-        const stats = fileManager.getOutputDirectoryStats(repo.output_dir);
+        if (contentTypes.includes('issues')) {
+          const issues = await clients.getClient(repo).safeGetIssues(repo.owner, repo.repo, filters);
+          
+          const stats = fileManager.getOutputDirectoryStats(repo.output_dir, fileManager.getIssueCategories());
+          
+          console.log(`  GitHub Issues: ${issues.length}`);
+          console.log(`  Local Files: ${stats ? stats.total_files : 'N/A'}`);
+          
+          if (stats && configManager.getOutputConfig().group_by_state) {
+            for (const [category, count] of Object.entries(stats.by_state)) {
+              console.log(`    ${category.charAt(0).toUpperCase()}${category.slice(1)}: ${count}`);
+            }
+          }
+          
+          logLocalNotes(fileManager, repo);
+        }
         
-        console.log(`  GitHub Issues: ${issues.length}`);
-        console.log(`  Local Files: ${stats ? stats.total_files : 'N/A'}`);
+        if (contentTypes.includes('pulls')) {
+          const pulls = await clients.getClient(repo).safeGetPullRequests(repo.owner, repo.repo, filters);
+          
+          const stats = fileManager.getOutputDirectoryStats(configManager.getContentOutputDir(repo, 'pulls'), PULL_REQUEST_CATEGORIES);
+          
+          console.log(`  GitHub Pull Requests: ${pulls.length}`);
+          console.log(`  Local Files: ${stats ? stats.total_files : 'N/A'}`);
+          
+          if (stats && configManager.getOutputConfig().group_by_state) {
+            console.log(`    Open: ${stats.by_state.open}`);
+            console.log(`    Draft: ${stats.by_state.draft}`);
+            console.log(`    Merged: ${stats.by_state.merged}`);
+            console.log(`    Closed: ${stats.by_state.closed}`);
+          }
+          
+          logLocalNotes(fileManager, repo, 'pulls');
+        }
         
-        if (stats && configManager.getOutputConfig().group_by_state) {
-          console.log(`    Active: ${stats.by_state.active}`);
-          console.log(`    Todo: ${stats.by_state.todo}`);
-          console.log(`    Done: ${stats.by_state.done}`);
-          console.log(`    Blocked: ${stats.by_state.blocked}`);
+        if (contentTypes.includes('discussions')) {
+          const stats = fileManager.getOutputDirectoryStats(configManager.getContentOutputDir(repo, 'discussions'), null);
+          
+          console.log(`  Local Discussions: ${stats ? stats.total_files : 'N/A'}`);
+          
+          if (stats && configManager.getOutputConfig().group_by_state) {
+            for (const [category, count] of Object.entries(stats.by_state)) {
+              console.log(`    ${category}: ${count}`);
+            }
+          }
+          
+          logLocalNotes(fileManager, repo, 'discussions');
         }
         
       } catch (error) {
@@ -197,10 +334,12 @@ async function statusCommand(options) {
       console.log('');
     }
     
-    const rateLimit = await githubClient.getRateLimit();
-    if (rateLimit) {
-      console.log(chalk.blue(`🔄 GitHub API Rate Limit: ${rateLimit.remaining}/${rateLimit.limit}`));
-      console.log(chalk.blue(`   Reset time: ${new Date(rateLimit.reset * 1000).toLocaleString()}`));
+    for (const client of clients.getClients()) {
+      const rateLimit = await client.getRateLimit();
+      if (rateLimit) {
+        console.log(chalk.blue(`🔄 ${new URL(client.webUrl).host} API Rate Limit: ${rateLimit.remaining}/${rateLimit.limit}`));
+        console.log(chalk.blue(`   Reset time: ${new Date(rateLimit.reset * 1000).toLocaleString()}`));
+      }
     }
     
   } catch (error) {
@@ -216,40 +355,18 @@ async function reorganizeCommand(options) {
     const configManager = new ConfigManager();
     configManager.loadConfig(options.config);
     
-    const performanceConfig = configManager.getPerformanceConfig();
-    const githubClient = new GitHubClient(configManager.getGitHubToken(), {
-      rateLimitDelay: performanceConfig.rate_limit_delay,
-      useCache: options.cache !== false
-    });
-    const fileManager = new FileManager(configManager, githubClient);
+    const clients = createClientRegistry(configManager, options);
+    await configManager.discoverRepositories(clients);
+    const fileManager = new FileManager(configManager, clients.getDefaultClient());
+    
+    const repositories = selectRepositories(configManager, options);
     
     spinner.text = 'Testing GitHub connection...';
-    const connected = await githubClient.testConnection();
+    const connected = await clients.testConnections(repositories);
     if (!connected) {
       throw new Error('Failed to connect to GitHub');
     }
     
-    let repositories = configManager.getRepositories();
-    
-    if (options.project) {
-      const filteredRepos = repositories.filter(repo => 
-        repo.repo === options.project || `${repo.owner}/${repo.repo}` === options.project
-      );
-      
-      if (filteredRepos.length === 0) {
-        throw new Error(`Project '${options.project}' not found in configuration`);
-      }
-      
-      repositories = filteredRepos;
-    } else if (options.group) {
-      try {
-        repositories = configManager.getRepositoriesByGroup(options.group);
-        console.log(chalk.blue(`Processing repository group: ${options.group}`));
-      } catch (error) {
-        throw new Error(`Repository group error: ${error.message}`);
-      }
-    }
-    
     spinner.stop();
     
     console.log(chalk.blue(`\\n🗂️ Reorganizing ${repositories.length} repositories by current issue state...`));
@@ -259,11 +376,22 @@ async function reorganizeCommand(options) {
     for (const repo of repositories) {
       console.log(chalk.blue(`\\n📁 Processing ${repo.display_name || repo.owner + '/' + repo.repo}...`));
       
+      // Pull request folders are kept in order by every sync
+      if (!configManager.getRepositoryContentTypes(repo).includes('issues')) {
+        console.log(chalk.gray('Skipped: repository only syncs pull requests'));
+        continue;
+      }
+      
       const reorgSpinner = ora('Fetching current issue states...').start();
       
       try {
         const filters = configManager.getFiltersForRepository(repo.owner, repo.repo);
-        const issues = await githubClient.safeGetIssues(repo.owner, repo.repo, filters);
+        let issues = await clients.getClient(repo).safeGetIssues(repo.owner, repo.repo, filters);
+        
+        const projectsConfig = configManager.getProjectsConfig();
+        if (projectsConfig.enabled) {
+          issues = await fetchProjectItems(issues, repo, projectsConfig, clients.getClient(repo), reorgSpinner);
+        }
         
         reorgSpinner.text = 'Analyzing file organization...';
         const moved = await fileManager.reorganizeFilesByState(issues, repo, options.dryRun);
@@ -286,190 +414,1089 @@ async function reorganizeCommand(options) {
   }
 }
 
-async function initCommand() {
-  try {
-    const configManager = new ConfigManager();
-    configManager.createDefaultConfig();
-    
-    console.log(chalk.green('\\n🚀 GitHub Issues Sync initialized successfully!'));
-    console.log(chalk.yellow('\\nNext steps:'));
-    console.log('1. Create a GitHub Personal Access Token at: https://github.com/settings/tokens');
-    console.log('2. Edit the .env file and set your GITHUB_TOKEN');
-    console.log('3. Edit the config.yml file and configure your repositories');
-    console.log('4. Run: gis sync');
-    
-  } catch (error) {
-    if (error.message.includes('already exists')) {
-      console.log(chalk.yellow('Configuration already exists. Edit config.yml to make changes.'));
-    } else {
-      throw error;
-    }
-  }
-}
-
-async function processRepositoriesSequentially(repositories, options, configManager, githubClient, fileManager) {
-  for (const repo of repositories) {
-    await processRepository(repo, options, configManager, githubClient, fileManager);
-  }
-}
-
-async function processRepositoriesInParallel(repositories, options, configManager, githubClient, fileManager, performanceConfig) {
-  const concurrency = performanceConfig.concurrent_repos;
-  const chunks = [];
-  
-  for (let i = 0; i < repositories.length; i += concurrency) {
-    chunks.push(repositories.slice(i, i + concurrency));
-  }
+/**
+ * Repositories picked by --project or --group, all configured ones otherwise.
+ */
+function selectRepositories(configManager, options) {
+  const repositories = configManager.getRepositories();
   
-  for (const chunk of chunks) {
-    const promises = chunk.map(repo => 
-      processRepository(repo, options, configManager, githubClient, fileManager)
+  if (options.project) {
+    const filteredRepos = repositories.filter(repo => 
+      repo.repo === options.project || `${repo.owner}/${repo.repo}` === options.project
     );
     
-    await Promise.all(promises);
+    if (filteredRepos.length === 0) {
+      throw new Error(`Project '${options.project}' not found in configuration`);
+    }
     
-    // Add delay between chunks to respect rate limits
-    if (chunks.indexOf(chunk) < chunks.length - 1) {
-      await new Promise(resolve => setTimeout(resolve, performanceConfig.rate_limit_delay));
+    return filteredRepos;
+  }
+  
+  if (options.group) {
+    try {
+      const groupRepos = configManager.getRepositoriesByGroup(options.group);
+      console.log(chalk.blue(`Processing repository group: ${options.group}`));
+      return groupRepos;
+    } catch (error) {
+      throw new Error(`Repository group error: ${error.message}`);
     }
   }
+  
+  return repositories;
 }
 
-async function processRepository(repo, options, configManager, githubClient, fileManager) {
-  console.log(chalk.blue(`\\n📁 Processing ${repo.display_name || repo.owner + '/' + repo.repo}...`));
-  
-  const syncSpinner = ora('Fetching issues...').start();
+async function pushCommand(options) {
+  const spinner = ora('Loading configuration...').start();
   
   try {
-    const filters = configManager.getFiltersForRepository(repo.owner, repo.repo);
-    const issues = await githubClient.safeGetIssues(repo.owner, repo.repo, filters);
+    const configManager = new ConfigManager();
+    configManager.loadConfig(options.config);
     
-    // Check if comments sync is enabled
-    const commentsConfig = configManager.getCommentsConfig();
-    if (commentsConfig.enabled && issues.length > 0) {
-      syncSpinner.text = `Fetching comments for ${issues.length} issues...`;
+    const clients = createClientRegistry(configManager, options);
+    await configManager.discoverRepositories(clients);
+    const repositories = selectRepositories(configManager, options);
+    const requestedFields = options.fields ? toList(options.fields) : null;
+    
+    spinner.text = 'Testing GitHub connection...';
+    const connected = await clients.testConnections(repositories);
+    if (!connected) {
+      throw new Error('Failed to connect to GitHub');
+    }
+    
+    spinner.stop();
+    
+    let totalUpdated = 0;
+    let totalConflicts = 0;
+    
+    for (const repo of repositories) {
+      if (!configManager.getRepositoryContentTypes(repo).includes('issues')) {
+        continue;
+      }
       
-      const commentsOptions = {
-        sort: commentsConfig.sort,
-        direction: commentsConfig.direction,
-        since: commentsConfig.since,
-        per_page: Math.min(commentsConfig.limit, 100)
-      };
+      const githubClient = clients.getClient(repo);
+      const syncTracker = new SyncTracker(repo);
+      const pushFields = configManager.getPushConfig(repo).fields;
+      const fields = requestedFields ? pushFields.filter(field => requestedFields.includes(field)) : pushFields;
+      const editedIssues = syncTracker.getTrackedIssueNumbers().filter(number => syncTracker.hasLocalChanges(number));
       
-      // Fetch comments for each issue
-      for (let i = 0; i < issues.length; i++) {
-        const issue = issues[i];
+      console.log(chalk.blue(`\n📤 ${repo.owner}/${repo.repo}: ${editedIssues.length} edited issue files`));
+      
+      for (const number of editedIssues) {
+        const issueData = syncTracker.getIssueData(number);
+        const label = `#${number} (${path.relative(process.cwd(), issueData.filePath)})`;
+        
+        if (!issueData.snapshot) {
+          console.log(chalk.yellow(`⚠️ ${label}: no synced version to compare with, run gis sync first`));
+          continue;
+        }
+        
         try {
-          syncSpinner.text = `Fetching comments for issue #${issue.number} (${i + 1}/${issues.length})...`;
-          const comments = await githubClient.safeGetIssueComments(
-            repo.owner, 
-            repo.repo, 
-            issue.number, 
-            commentsOptions
-          );
+          const local = parseIssueFile(fs.readFileSync(issueData.filePath, 'utf8'));
+          const remote = await githubClient.safeGetIssue(repo.owner, repo.repo, number);
+          const plan = planIssueUpdate(issueData.snapshot, local, remote, fields, { force: options.force });
           
-          // Apply limit if specified
-          const limitedComments = commentsConfig.limit && comments.length > commentsConfig.limit
-            ? comments.slice(0, commentsConfig.limit)
-            : comments;
+          if (plan.changes.length === 0 && plan.conflicts.length === 0 && plan.skipped.length === 0) {
+            continue;
+          }
           
-          issue.comments = limitedComments;
-        } catch (error) {
-          console.warn(chalk.yellow(`Warning: Failed to fetch comments for issue #${issue.number}: ${error.message}`));
-          issue.comments = [];
-        }
-      }
-      
-      console.log(chalk.gray(`✓ Fetched comments for ${issues.length} issues`));
-    }
-    
-    // Check if image processing is enabled
-    const imagesConfig = configManager.getImagesConfig();
-    if (imagesConfig.enabled && issues.length > 0) {
-      syncSpinner.text = `Processing images for ${issues.length} issues...`;
-      
-      for (let i = 0; i < issues.length; i++) {
-        const issue = issues[i];
-        try {
-          syncSpinner.text = `Processing images for issue #${issue.number} (${i + 1}/${issues.length})...`;
+          console.log(chalk.bold(label));
+          describeIssueUpdate(plan).forEach(line => console.log(`  ${line}`));
+          plan.conflicts.forEach(conflict => console.log(chalk.yellow(`  ⚠️ Conflict: ${conflict.message} (use --force to overwrite)`)));
+          if (plan.skipped.length > 0) {
+            console.log(chalk.gray(`  Not pushed (not in push.fields): ${[...new Set(plan.skipped)].join(', ')}`));
+          }
+          totalConflicts += plan.conflicts.length;
           
-          // Process images for this issue
-          const imageProcessingResult = await fileManager.imageAnalyzer?.processIssueImages(issue);
-          if (imageProcessingResult) {
-            issue.imageProcessingResult = imageProcessingResult;
+          if (plan.changes.length === 0 || options.dryRun) {
+            continue;
+          }
+          
+          const updated = await githubClient.safeUpdateIssue(repo.owner, repo.repo, number, plan.update);
+          totalUpdated++;
+          console.log(chalk.green(`  ✓ Updated ${plan.changes.map(change => change.field).join(', ')}`));
+          
+          // Anything left over stays pending until the next sync
+          if (plan.conflicts.length === 0 && plan.skipped.length === 0) {
+            syncTracker.markIssuePushed(updated);
           }
         } catch (error) {
-          console.warn(chalk.yellow(`Warning: Failed to process images for issue #${issue.number}: ${error.message}`));
-          issue.imageProcessingResult = { images: [], analyses: [] };
+          console.error(chalk.red(`  ✗ Failed to push ${label}: ${error.message}`));
         }
       }
       
-      const totalImages = issues.reduce((sum, issue) => sum + (issue.imageProcessingResult?.images?.length || 0), 0);
-      if (totalImages > 0) {
-        console.log(chalk.gray(`✓ Processed ${totalImages} images across ${issues.length} issues`));
+      if (!options.dryRun) {
+        syncTracker.saveSyncData();
       }
     }
     
-    if (options.dryRun) {
-      syncSpinner.stop();
-      const totalComments = issues.reduce((sum, issue) => sum + (issue.comments?.length || 0), 0);
-      const totalImages = issues.reduce((sum, issue) => sum + (issue.imageProcessingResult?.images?.length || 0), 0);
-      console.log(chalk.yellow(`[DRY RUN] Would sync ${issues.length} issues with ${totalComments} comments and ${totalImages} images to ${repo.output_dir}`));
-      return { repo, issues: [], success: true };
+    const summary = options.dryRun ? 'Dry run completed' : `Pushed ${totalUpdated} issues`;
+    console.log(chalk.green(`\n🎉 ${summary}${totalConflicts > 0 ? `, ${totalConflicts} conflicts skipped` : ''}.`));
+    
+  } catch (error) {
+    spinner.stop();
+    throw error;
+  }
+}
+
+/**
+ * Repository a draft belongs to: its `repo:` ("owner/repo" or the repository
+ * name), or the only candidate when it has none. Null for a draft meant for
+ * a repository outside --project.
+ */
+function resolveDraftRepository(draft, configManager, options) {
+  const candidates = selectRepositories(configManager, options)
+    .filter(repo => configManager.getRepositoryContentTypes(repo).includes('issues'));
+  
+  if (!draft.repo) {
+    if (candidates.length !== 1) {
+      throw new Error('no repo: in front matter (needed when more than one repository is configured)');
+    }
+    return candidates[0];
+  }
+  
+  const matches = repo => repo.repo === draft.repo || `${repo.owner}/${repo.repo}` === draft.repo;
+  const repository = candidates.find(matches);
+  
+  if (!repository) {
+    if (options.project && configManager.getRepositories().some(matches)) {
+      return null;
     }
+    throw new Error(`repository '${draft.repo}' is not configured for issues`);
+  }
+  
+  return repository;
+}
+
+async function resolveMilestone(milestone, repo, githubClient) {
+  if (milestone === null || typeof milestone === 'number') {
+    return milestone;
+  }
+  
+  const milestones = await githubClient.safeGetMilestones(repo.owner, repo.repo);
+  const match = milestones.find(candidate => candidate.title === String(milestone));
+  
+  if (!match) {
+    throw new Error(`milestone '${milestone}' not found in ${repo.owner}/${repo.repo}`);
+  }
+  
+  return match.number;
+}
+
+async function createCommand(options) {
+  const spinner = ora('Loading configuration...').start();
+  
+  try {
+    const configManager = new ConfigManager();
+    configManager.loadConfig(options.config);
     
-    syncSpinner.text = 'Writing files...';
-    const useIncrementalSync = options.incremental !== false;
+    const draftsDir = path.resolve(options.dir || configManager.getDraftsConfig().dir);
+    const drafts = listDrafts(draftsDir);
     
-    // Force reorganization if requested
-    if (options.forceReorganize) {
-      syncSpinner.text = 'Reorganizing files by current state...';
-      await fileManager.reorganizeFilesByState(issues, repo, false);
+    if (drafts.length === 0) {
+      spinner.stop();
+      console.log(chalk.yellow(`No drafts found in ${draftsDir}`));
+      return;
     }
     
-    const processedIssues = await fileManager.writeIssues(issues, repo, useIncrementalSync);
+    const clients = createClientRegistry(configManager, options);
+    await configManager.discoverRepositories(clients);
     
-    syncSpinner.stop();
-    const totalComments = issues.reduce((sum, issue) => sum + (issue.comments?.length || 0), 0);
-    console.log(chalk.green(`✓ Successfully synced ${issues.length} issues with ${totalComments} comments`));
+    spinner.text = 'Testing GitHub connection...';
+    const connected = await clients.testConnections(selectRepositories(configManager, options));
+    if (!connected) {
+      throw new Error('Failed to connect to GitHub');
+    }
     
-    return { repo, issues: processedIssues, success: true };
+    spinner.stop();
+    
+    const fileManager = new FileManager(configManager, clients.getDefaultClient());
+    let created = 0;
+    let failed = 0;
+    
+    for (const draftPath of drafts) {
+      const name = path.basename(draftPath);
+      
+      try {
+        const draft = parseDraft(fs.readFileSync(draftPath, 'utf8'));
+        if (!draft.title) {
+          throw new Error('no title: in front matter and no "# heading"');
+        }
+        
+        const repo = resolveDraftRepository(draft, configManager, options);
+        if (!repo) {
+          continue;
+        }
+        
+        const details = [
+          ...draft.labels.map(label => `\`${label}\``),
+          ...draft.assignees.map(login => `@${login}`),
+          ...(draft.milestone !== null ? [`milestone: ${draft.milestone}`] : [])
+        ];
+        
+        if (options.dryRun) {
+          console.log(chalk.yellow(`[DRY RUN] ${name} → ${repo.owner}/${repo.repo}: "${draft.title}"${details.length > 0 ? ` (${details.join(', ')})` : ''}`));
+          continue;
+        }
+        
+        const githubClient = clients.getClient(repo);
+        const issue = await githubClient.createIssue(repo.owner, repo.repo, {
+          title: draft.title,
+          body: draft.body,
+          labels: draft.labels,
+          assignees: draft.assignees,
+          milestone: await resolveMilestone(draft.milestone, repo, githubClient) ?? undefined
+        });
+        
+        // The issue exists now: drop the draft first so a failure below can't
+        // make a rerun create it twice
+        fs.unlinkSync(draftPath);
+        created++;
+        
+        try {
+          // The draft is replaced by the file a sync would write for the issue
+          const filePath = await fileManager.syncIssue(issue, repo);
+          console.log(chalk.green(`✓ ${name} → ${repo.owner}/${repo.repo}#${issue.number} (${path.relative(process.cwd(), filePath)})`));
+        } catch (error) {
+          console.log(chalk.yellow(`⚠️ ${name} → ${repo.owner}/${repo.repo}#${issue.number} created, but writing its file failed: ${error.message} (run gis sync to retry)`));
+        }
+      } catch (error) {
+        failed++;
+        console.error(chalk.red(`✗ ${name}: ${error.message}`));
+      }
+    }
+    
+    if (!options.dryRun) {
+      console.log(chalk.green(`\n🎉 Created ${created} issues${failed > 0 ? `, ${failed} drafts failed` : ''}.`));
+    }
     
   } catch (error) {
-    syncSpinner.stop();
-    console.error(chalk.red(`✗ Failed to sync ${repo.owner}/${repo.repo}: ${error.message}`));
-    return { repo, issues: [], success: false, error };
+    spinner.stop();
+    throw error;
   }
 }
 
-async function createMasterIndex(repositories, configManager, fileManager) {
-  try {
-    const spinner = ora('Creating master index...').start();
-    
-    const outputConfig = configManager.getOutputConfig();
+const editorHint = target => `<!-- Comment on ${target} above. Save and close the editor to post it; leave it empty to cancel. -->`;
+
+/**
+ * Comment text from --message, --file or, without either, from $EDITOR.
+ */
+function readCommentText(options, target) {
+  if (options.message !== undefined) {
+    return options.message;
+  }
+  
+  if (options.file) {
+    return fs.readFileSync(options.file === '-' ? 0 : options.file, 'utf8');
+  }
+  
+  const editor = process.env.VISUAL || process.env.EDITOR || 'vi';
+  const draftPath = path.join(os.tmpdir(), `gis-comment-${process.pid}.md`);
+  fs.writeFileSync(draftPath, `\n\n${editorHint(target)}\n`);
+  
+  try {
+    const result = spawnSync(`${editor} "${draftPath}"`, { stdio: 'inherit', shell: true });
+    if (result.status !== 0) {
+      throw new Error(`Editor '${editor}' exited with status ${result.status}`);
+    }
+    return fs.readFileSync(draftPath, 'utf8').replace(editorHint(target), '');
+  } finally {
+    fs.rmSync(draftPath, { force: true });
+  }
+}
+
+async function commentCommand(repoName, number, options) {
+  const issueNumber = parseInt(number, 10);
+  if (!Number.isInteger(issueNumber) || issueNumber <= 0) {
+    throw new Error(`Invalid issue number: ${number}`);
+  }
+  
+  const configManager = new ConfigManager();
+  configManager.loadConfig(options.config);
+  
+  const clients = createClientRegistry(configManager, options);
+  await configManager.discoverRepositories(clients);
+  
+  const [repo] = selectRepositories(configManager, { project: repoName });
+  const target = `${repo.owner}/${repo.repo}#${issueNumber}`;
+  
+  const body = readCommentText(options, target).trim();
+  if (!body) {
+    console.log(chalk.yellow('Empty comment, nothing posted.'));
+    return;
+  }
+  
+  const spinner = ora('Testing GitHub connection...').start();
+  
+  try {
+    const connected = await clients.testConnections([repo]);
+    if (!connected) {
+      throw new Error('Failed to connect to GitHub');
+    }
+    
+    const githubClient = clients.getClient(repo);
+    spinner.text = `Commenting on ${target}...`;
+    const comment = await githubClient.createIssueComment(repo.owner, repo.repo, issueNumber, body);
+    
+    spinner.stop();
+    console.log(chalk.green(`✓ Commented on ${target}: ${comment.html_url}`));
+    
+    // Only files sync already writes are refreshed; filters decide the rest
+    if (!new SyncTracker(repo).getIssueData(issueNumber)) {
+      console.log(chalk.gray(`#${issueNumber} has no local file yet, it will be written by the next sync`));
+      return;
+    }
+    
+    spinner.start(`Refreshing #${issueNumber}...`);
+    const fileManager = new FileManager(configManager, githubClient);
+    const issue = await githubClient.safeGetIssue(repo.owner, repo.repo, issueNumber);
+    const [refreshed] = await fetchIssueDetails([issue], repo, configManager, githubClient, fileManager, spinner);
+    const filePath = await fileManager.syncIssue(refreshed, repo);
+    
+    spinner.stop();
+    console.log(chalk.green(`✓ Updated ${path.relative(process.cwd(), filePath)}`));
+    
+  } catch (error) {
+    spinner.stop();
+    throw error;
+  }
+}
+
+function bulkFilters(options) {
+  return {
+    state: options.state,
+    labels: toList(options.labels),
+    label_mode: options.labelMode,
+    exclude_labels: toList(options.excludeLabels),
+    assignee: options.assignee || null,
+    creator: options.creator || null,
+    since: options.since || null,
+    until: options.until || null
+  };
+}
+
+async function bulkCommand(options) {
+  const configManager = new ConfigManager();
+  configManager.loadConfig(options.config);
+  
+  const actions = parseBulkActions(options);
+  const clients = createClientRegistry(configManager, options);
+  await configManager.discoverRepositories(clients);
+  const filters = bulkFilters(options);
+  const delay = options.delay !== undefined ? parseInt(options.delay, 10) : configManager.getBulkConfig().delay_ms;
+  
+  // Selection works on the last synced state, so previews need no API calls beyond repository discovery
+  const selected = [];
+  for (const repo of selectRepositories(configManager, options)) {
+    if (!configManager.getRepositoryContentTypes(repo).includes('issues')) {
+      continue;
+    }
+    
+    const syncTracker = new SyncTracker(repo);
+    const issues = syncTracker.getTrackedIssueNumbers()
+      .map(number => syncTracker.getIssueData(number).snapshot)
+      .filter(snapshot => snapshot && issueMatchesFilters(snapshot, filters))
+      .sort((a, b) => a.number - b.number);
+    
+    issues.forEach(issue => selected.push({ repo, issue }));
+  }
+  
+  if (selected.length === 0) {
+    console.log(chalk.yellow('No synced issues match the filters. Run gis sync first if the local state is out of date.'));
+    return;
+  }
+  
+  console.log(chalk.blue(`\n${selected.length} issues match:`));
+  for (const { repo, issue } of selected) {
+    const labels = (issue.labels || []).map(label => label.name);
+    console.log(`  ${repo.owner}/${repo.repo}#${issue.number} ${issue.title}${labels.length > 0 ? chalk.gray(` [${labels.join(', ')}]`) : ''}`);
+  }
+  console.log(chalk.blue(`\nActions: ${describeBulkActions(actions).join(', ')}`));
+  
+  if (options.dryRun) {
+    console.log(chalk.yellow('[DRY RUN] No issues were changed.'));
+    return;
+  }
+  
+  if (!options.yes) {
+    if (!process.stdin.isTTY) {
+      throw new Error('Confirmation needs a terminal; pass --yes to apply without it');
+    }
+    const { confirmed } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'confirmed',
+      message: `Apply these changes to ${selected.length} issues on GitHub?`,
+      default: false
+    }]);
+    if (!confirmed) {
+      console.log(chalk.yellow('Cancelled.'));
+      return;
+    }
+  }
+  
+  const connected = await clients.testConnections([...new Set(selected.map(({ repo }) => repo))]);
+  if (!connected) {
+    throw new Error('Failed to connect to GitHub');
+  }
+  
+  const report = [];
+  const milestones = new Map();
+  let writes = 0;
+  
+  for (const { repo, issue } of selected) {
+    const target = `${repo.owner}/${repo.repo}#${issue.number}`;
+    const githubClient = clients.getClient(repo);
+    const result = { repository: `${repo.owner}/${repo.repo}`, number: issue.number, title: issue.title };
+    
+    try {
+      let milestoneNumber = null;
+      if (actions.milestone !== null && actions.milestone !== 'none') {
+        const repoKey = `${repo.owner}/${repo.repo}`;
+        if (!milestones.has(repoKey)) {
+          const milestone = /^\d+$/.test(actions.milestone) ? Number(actions.milestone) : actions.milestone;
+          milestones.set(repoKey, await resolveMilestone(milestone, repo, githubClient));
+        }
+        milestoneNumber = milestones.get(repoKey);
+      }
+      
+      const current = await githubClient.safeGetIssue(repo.owner, repo.repo, issue.number);
+      const plan = planBulkUpdate(current, actions, milestoneNumber);
+      
+      if (!plan) {
+        Object.assign(result, { status: 'unchanged', changes: [] });
+        console.log(chalk.gray(`- ${target} already up to date`));
+      } else {
+        // Paced to stay clear of GitHub's secondary rate limits
+        if (writes++ > 0 && delay > 0) {
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+        await githubClient.safeUpdateIssue(repo.owner, repo.repo, issue.number, plan.update);
+        Object.assign(result, { status: 'updated', changes: plan.changes });
+        console.log(chalk.green(`✓ ${target} ${plan.changes.join(', ')}`));
+      }
+    } catch (error) {
+      Object.assign(result, { status: 'failed', error: error.message });
+      console.error(chalk.red(`✗ ${target}: ${error.message}`));
+    }
+    
+    report.push(result);
+  }
+  
+  const count = status => report.filter(result => result.status === status).length;
+  console.log(chalk.blue(`\n📋 ${count('updated')} updated, ${count('unchanged')} unchanged, ${count('failed')} failed`));
+  
+  if (options.report) {
+    fs.writeFileSync(options.report, JSON.stringify(report, null, 2));
+    console.log(chalk.gray(`Report written to ${options.report}`));
+  }
+  
+  if (count('failed') > 0) {
+    process.exitCode = 1;
+  }
+}
+
+async function initCommand() {
+  try {
+    const configManager = new ConfigManager();
+    configManager.createDefaultConfig();
+    
+    console.log(chalk.green('\\n🚀 GitHub Issues Sync initialized successfully!'));
+    console.log(chalk.yellow('\\nNext steps:'));
+    console.log('1. Create a GitHub Personal Access Token at: https://github.com/settings/tokens');
+    console.log('2. Edit the .env file and set your GITHUB_TOKEN');
+    console.log('3. Edit the config.yml file and configure your repositories');
+    console.log('4. Run: gis sync');
+    
+  } catch (error) {
+    if (error.message.includes('already exists')) {
+      console.log(chalk.yellow('Configuration already exists. Edit config.yml to make changes.'));
+    } else {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Recorder for `sync --record` / `--replay`. A recording holds the requests of
+ * a full sync, so both modes skip incremental sync; responses must not come
+ * from the cache either, or they would be missing from the recording.
+ */
+function createRecorder(options) {
+  if (options.record && options.replay) {
+    throw new Error('Use either --record or --replay, not both');
+  }
+  
+  if (!options.record && !options.replay) {
+    return null;
+  }
+  
+  const recorder = options.record
+    ? new ApiRecorder(options.record, 'record')
+    : new ApiRecorder(options.replay, 'replay');
+  options.incremental = false;
+  
+  console.log(chalk.blue(`${recorder.replaying ? '▶️ Replaying API responses from' : '⏺️ Recording API responses to'} ${recorder.dir}`));
+  return recorder;
+}
+
+function createClientRegistry(configManager, options, recorder = null) {
+  const performanceConfig = configManager.getPerformanceConfig();
+  const cacheConfig = configManager.getCacheConfig();
+  
+  return new GitHubClientRegistry(configManager, {
+    rateLimitDelay: performanceConfig.rate_limit_delay,
+    concurrentRequests: performanceConfig.concurrent_requests,
+    rateLimitThreshold: performanceConfig.rate_limit_threshold,
+    rateLimitMaxWait: performanceConfig.rate_limit_max_wait_minutes !== undefined
+      ? performanceConfig.rate_limit_max_wait_minutes * 60 * 1000
+      : undefined,
+    maxIssues: performanceConfig.max_issues,
+    useCache: options.cache !== false && !recorder,
+    recorder,
+    cacheTTL: cacheConfig.ttl_minutes * 60 * 1000,
+    maxCacheSize: cacheConfig.max_entries,
+    conditionalRequests: cacheConfig.conditional_requests !== false
+  });
+}
+
+async function processRepositoriesSequentially(repositories, options, configManager, clients, fileManager) {
+  const progress = new SyncProgress();
+  
+  for (const repo of repositories) {
+    await processRepository(repo, options, configManager, clients.getClient(repo), fileManager, progress);
+  }
+}
+
+/**
+ * Up to `concurrent_repos` repositories at a time, each starting as soon as
+ * another one finishes. Their requests share the client registry's task pool
+ * and rate limit scheduler.
+ */
+async function processRepositoriesInParallel(repositories, options, configManager, clients, fileManager, performanceConfig) {
+  const repositoryPool = new TaskPool(performanceConfig.concurrent_repos || 3);
+  const progress = new SyncProgress();
+  
+  await repositoryPool.map(repositories, repo => 
+    processRepository(repo, options, configManager, clients.getClient(repo), fileManager, progress)
+  );
+}
+
+async function processRepository(repo, options, configManager, githubClient, fileManager, progress = new SyncProgress()) {
+  console.log(chalk.blue(`\\n📁 Processing ${repo.display_name || repo.owner + '/' + repo.repo}...`));
+  
+  const contentTypes = configManager.getRepositoryContentTypes(repo);
+  let result = { repo, issues: [], success: true };
+  
+  if (contentTypes.includes('issues')) {
+    result = await syncRepositoryIssues(repo, options, configManager, githubClient, fileManager, progress);
+  }
+  
+  if (contentTypes.includes('pulls')) {
+    const pullsResult = await syncRepositoryPullRequests(repo, options, configManager, githubClient, fileManager, progress);
+    result = {
+      ...result,
+      pulls: pullsResult.pulls,
+      success: result.success && pullsResult.success,
+      error: result.error || pullsResult.error
+    };
+  }
+  
+  if (contentTypes.includes('discussions')) {
+    const discussionsResult = await syncRepositoryDiscussions(repo, options, configManager, githubClient, fileManager, progress);
+    result = {
+      ...result,
+      discussions: discussionsResult.discussions,
+      success: result.success && discussionsResult.success,
+      error: result.error || discussionsResult.error
+    };
+  }
+  
+  return result;
+}
+
+async function syncRepositoryIssues(repo, options, configManager, githubClient, fileManager, progress) {
+  const syncSpinner = progress.start(repoLabel(repo), 'Fetching issues...');
+  
+  try {
+    const filters = configManager.getFiltersForRepository(repo.owner, repo.repo);
+    const commentsConfig = configManager.getCommentsConfig();
+    const useIncrementalSync = options.incremental !== false;
+    
+    const syncTracker = new SyncTracker(repo);
+    const fetchInfo = { startedAt: new Date().toISOString(), full: true, filters };
+    let fetchFilters = filters;
+    
+    if (useIncrementalSync && canFetchIncrementally(syncTracker, filters, configManager)) {
+      // Only issues updated since the last sync; filters are re-applied locally when merging
+      fetchFilters = {
+        state: 'all',
+        since: syncTracker.getLastSyncTime(),
+        sort: filters.sort,
+        direction: filters.direction
+      };
+      fetchInfo.full = false;
+      syncSpinner.text = `Fetching issues updated since ${fetchFilters.since}...`;
+    }
+    
+    let issues;
+    if (configManager.getTransport() === 'graphql' && githubClient.canUseGraphQL(fetchFilters)) {
+      // Issues and their comments arrive together in batched queries
+      const graphqlCommentsOptions = commentsConfig.enabled ? {
+        limit: commentsConfig.limit,
+        sort: commentsConfig.sort,
+        direction: commentsConfig.direction,
+        since: commentsConfig.since
+      } : null;
+      issues = await githubClient.taskPool.run(() => 
+        githubClient.safeGetIssuesWithComments(repo.owner, repo.repo, fetchFilters, graphqlCommentsOptions)
+      );
+    } else {
+      issues = await githubClient.taskPool.run(() => githubClient.safeGetIssues(repo.owner, repo.repo, fetchFilters));
+    }
+    
+    // A list cut short can't tell which issues were deleted
+    fetchInfo.truncated = !!issues.truncated;
+    
+    issues = await fetchIssueDetails(issues, repo, configManager, githubClient, fileManager, syncSpinner, fetchInfo.full ? null : syncTracker);
+    
+    if (!fetchInfo.full) {
+      const changedCount = issues.length;
+      issues = githubClient.sortIssues(
+        syncTracker.mergeIncrementalIssues(issues, filters),
+        filters.sort,
+        filters.direction
+      );
+      console.log(chalk.gray(`✓ ${changedCount} issues changed since last sync (${issues.length} total)`));
+    }
+    
+    if (options.dryRun) {
+      syncSpinner.stop();
+      const totalComments = issues.reduce((sum, issue) => sum + (issue.comments?.length || 0), 0);
+      const totalImages = issues.reduce((sum, issue) => sum + (issue.imageProcessingResult?.images?.length || 0), 0);
+      console.log(chalk.yellow(`[DRY RUN] Would sync ${issues.length} issues with ${totalComments} comments and ${totalImages} images to ${repo.output_dir}`));
+      return { repo, issues: [], success: true };
+    }
+    
+    syncSpinner.text = 'Writing files...';
+    
+    // Force reorganization if requested
+    if (options.forceReorganize) {
+      syncSpinner.text = 'Reorganizing files by current state...';
+      await fileManager.reorganizeFilesByState(issues, repo, false);
+    }
+    
+    const processedIssues = await fileManager.writeIssues(issues, repo, useIncrementalSync, fetchInfo);
+    
+    syncSpinner.stop();
+    const totalComments = issues.reduce((sum, issue) => sum + (issue.comments?.length || 0), 0);
+    console.log(chalk.green(`✓ Successfully synced ${issues.length} issues with ${totalComments} comments`));
+    
+    return { repo, issues: processedIssues, success: true };
+    
+  } catch (error) {
+    syncSpinner.stop();
+    console.error(chalk.red(`✗ Failed to sync ${repo.owner}/${repo.repo}: ${error.message}`));
+    return { repo, issues: [], success: false, error };
+  }
+}
+
+/**
+ * Everything rendered next to the issues themselves, as enabled in the
+ * config: project fields, comments, timeline, sub-issues and images.
+ */
+async function fetchIssueDetails(issues, repo, configManager, githubClient, fileManager, syncSpinner, syncTracker = null) {
+  const projectsConfig = configManager.getProjectsConfig();
+  if (projectsConfig.enabled) {
+    issues = await fetchProjectItems(issues, repo, projectsConfig, githubClient, syncSpinner, syncTracker);
+  }
+  
+  // Issues fetched via GraphQL already carry their comments
+  const issuesWithoutComments = issues.filter(issue => !Array.isArray(issue.comments));
+  
+  // Check if comments sync is enabled
+  const commentsConfig = configManager.getCommentsConfig();
+  if (commentsConfig.enabled && issuesWithoutComments.length > 0) {
+    await fetchComments(issuesWithoutComments, repo, commentsConfig, githubClient, syncSpinner);
+  }
+  
+  const timelineConfig = configManager.getTimelineConfig();
+  if (timelineConfig.enabled && issues.length > 0) {
+    await fetchTimelines(issues, repo, timelineConfig, githubClient, syncSpinner);
+  }
+  
+  const subIssuesConfig = configManager.getSubIssuesConfig();
+  if (subIssuesConfig.enabled && issues.length > 0) {
+    await fetchSubIssueHierarchy(issues, repo, subIssuesConfig, githubClient, syncSpinner);
+  }
+  
+  // Check if image processing is enabled
+  if (configManager.getImagesConfig().enabled && issues.length > 0) {
+    await processImages(issues, githubClient, fileManager, syncSpinner);
+  }
+  
+  return issues;
+}
+
+async function fetchComments(issues, repo, commentsConfig, githubClient, syncSpinner) {
+  syncSpinner.text = `Fetching comments for ${issues.length} issues...`;
+  
+  const commentsOptions = {
+    sort: commentsConfig.sort,
+    direction: commentsConfig.direction,
+    since: commentsConfig.since,
+    per_page: Math.min(commentsConfig.limit, 100)
+  };
+  
+  // Fetch comments for each issue
+  let done = 0;
+  await githubClient.taskPool.map(issues, async issue => {
+    try {
+      const comments = await githubClient.safeGetIssueComments(
+        repo.owner, 
+        repo.repo, 
+        issue.number, 
+        commentsOptions
+      );
+      
+      // Apply limit if specified
+      const limitedComments = commentsConfig.limit && comments.length > commentsConfig.limit
+        ? comments.slice(0, commentsConfig.limit)
+        : comments;
+      
+      issue.comments = limitedComments;
+    } catch (error) {
+      console.warn(chalk.yellow(`Warning: Failed to fetch comments for issue #${issue.number}: ${error.message}`));
+      issue.comments = [];
+    }
+    syncSpinner.text = `Fetching comments (${++done}/${issues.length})...`;
+  });
+  
+  console.log(chalk.gray(`✓ Fetched comments for ${issues.length} issues`));
+}
+
+/**
+ * Attach Projects (v2) field values to the fetched issues. Moving a card on
+ * the board doesn't update the issue, so an incremental sync (`syncTracker`
+ * given) checks every known issue and fetches those whose values changed.
+ */
+async function fetchProjectItems(issues, repo, projectsConfig, githubClient, syncSpinner, syncTracker = null) {
+  syncSpinner.text = 'Fetching project fields...';
+  
+  const fetchedNumbers = new Set(issues.map(issue => issue.number));
+  const trackedNumbers = syncTracker
+    ? syncTracker.getTrackedIssueNumbers().filter(issueNumber => !fetchedNumbers.has(issueNumber))
+    : [];
+  
+  let projectItems;
+  try {
+    projectItems = await githubClient.safeGetProjectItems(repo.owner, repo.repo, [...fetchedNumbers, ...trackedNumbers], {
+      project: projectsConfig.project
+    });
+  } catch (error) {
+    // Keep the last known board data rather than re-sorting every issue
+    console.warn(chalk.yellow(`Warning: Failed to fetch project fields: ${error.message}`));
+    for (const issue of issues) {
+      const previous = syncTracker?.getIssueData(issue.number)?.snapshot?.project_items;
+      if (previous) {
+        issue.project_items = previous;
+      }
+    }
+    return issues;
+  }
+  
+  for (const issue of issues) {
+    issue.project_items = projectItems.get(issue.number) || [];
+  }
+  
+  const boardChanges = [];
+  for (const issueNumber of trackedNumbers) {
+    const items = projectItems.get(issueNumber);
+    const previous = syncTracker.getIssueData(issueNumber).snapshot?.project_items || [];
+    if (!items || JSON.stringify(items) === JSON.stringify(previous)) {
+      continue;
+    }
+    
+    try {
+      syncSpinner.text = `Fetching issue #${issueNumber} (moved on the project board)...`;
+      const issue = await githubClient.safeGetIssue(repo.owner, repo.repo, issueNumber);
+      issue.project_items = items;
+      boardChanges.push(issue);
+    } catch (error) {
+      console.warn(chalk.yellow(`Warning: Failed to fetch issue #${issueNumber}: ${error.message}`));
+    }
+  }
+  
+  if (boardChanges.length > 0) {
+    console.log(chalk.gray(`✓ ${boardChanges.length} issues changed on the project board since last sync`));
+  }
+  
+  return [...issues, ...boardChanges];
+}
+
+async function fetchTimelines(issues, repo, timelineConfig, githubClient, syncSpinner) {
+  let done = 0;
+  await githubClient.taskPool.map(issues, async issue => {
+    issue.timeline = await githubClient.safeGetIssueTimeline(repo.owner, repo.repo, issue.number, {
+      types: timelineConfig.events
+    });
+    syncSpinner.text = `Fetching timelines (${++done}/${issues.length})...`;
+  });
+  
+  const totalEvents = issues.reduce((sum, issue) => sum + issue.timeline.length, 0);
+  console.log(chalk.gray(`✓ Fetched ${totalEvents} timeline events for ${issues.length} issues`));
+}
+
+async function fetchSubIssueHierarchy(issues, repo, subIssuesConfig, githubClient, syncSpinner) {
+  let done = 0;
+  await githubClient.taskPool.map(issues, async issue => {
+    // The summary tells us up front when there is nothing to fetch
+    issue.sub_issues = issue.sub_issues_summary?.total === 0 ? [] : await githubClient.safeGetSubIssues(
+      repo.owner,
+      repo.repo,
+      issue.number,
+      { maxDepth: subIssuesConfig.max_depth }
+    );
+    
+    // GraphQL results already carry the parent; REST results link it only when
+    // there is one (and not at all on hosts without sub-issues)
+    if (issue.parent === undefined) {
+      try {
+        issue.parent = typeof issue.parent_issue_url === 'string'
+          ? await githubClient.safeGetParentIssue(repo.owner, repo.repo, issue.number)
+          : null;
+      } catch (error) {
+        console.warn(chalk.yellow(`Warning: Failed to fetch parent of issue #${issue.number}: ${error.message}`));
+        issue.parent = null;
+      }
+    }
+    
+    syncSpinner.text = `Fetching sub-issues (${++done}/${issues.length})...`;
+  });
+  
+  const withHierarchy = issues.filter(issue => issue.parent || issue.sub_issues.length > 0).length;
+  console.log(chalk.gray(`✓ Fetched sub-issue hierarchy for ${issues.length} issues (${withHierarchy} with parent or sub-issues)`));
+}
+
+async function processImages(issues, githubClient, fileManager, syncSpinner) {
+  syncSpinner.text = `Processing images for ${issues.length} issues...`;
+  
+  let done = 0;
+  await githubClient.taskPool.map(issues, async issue => {
+    try {
+      // Process images for this issue
+      const imageProcessingResult = await fileManager.imageAnalyzer?.processIssueImages(issue, githubClient);
+      if (imageProcessingResult) {
+        issue.imageProcessingResult = imageProcessingResult;
+      }
+    } catch (error) {
+      console.warn(chalk.yellow(`Warning: Failed to process images for issue #${issue.number}: ${error.message}`));
+      issue.imageProcessingResult = { images: [], analyses: [] };
+    }
+    syncSpinner.text = `Processing images (${++done}/${issues.length})...`;
+  });
+  
+  const totalImages = issues.reduce((sum, issue) => sum + (issue.imageProcessingResult?.images?.length || 0), 0);
+  if (totalImages > 0) {
+    console.log(chalk.gray(`✓ Processed ${totalImages} images across ${issues.length} issues`));
+  }
+}
+
+async function syncRepositoryPullRequests(repo, options, configManager, githubClient, fileManager, progress) {
+  const syncSpinner = progress.start(repoLabel(repo), 'Fetching pull requests...');
+  
+  try {
+    const filters = configManager.getFiltersForRepository(repo.owner, repo.repo);
+    const pullsConfig = configManager.getPullRequestsConfig();
+    const commentsConfig = configManager.getCommentsConfig();
+    const useIncrementalSync = options.incremental !== false;
+    
+    const syncTracker = new SyncTracker(repo, 'pulls');
+    const fetchInfo = { startedAt: new Date().toISOString(), full: true, filters };
+    
+    // The list is always complete; details are only fetched again for pull requests updated since they were written
+    const reuseSnapshots = useIncrementalSync && canFetchIncrementally(syncTracker, filters, configManager);
+    fetchInfo.full = !reuseSnapshots;
+    
+    const listedPulls = await githubClient.taskPool.run(() => githubClient.safeGetPullRequests(repo.owner, repo.repo, filters));
+    fetchInfo.truncated = !!listedPulls.truncated;
+    let done = 0;
+    
+    const pulls = await githubClient.taskPool.map(listedPulls, async listedPull => {
+      const snapshot = reuseSnapshots ? syncTracker.getIssueData(listedPull.number)?.snapshot : null;
+      
+      if (snapshot && snapshot.updated_at === listedPull.updated_at) {
+        return { ...snapshot, _syncSnapshot: true };
+      }
+      
+      const pull = await githubClient.safeGetPullRequestDetails(repo.owner, repo.repo, listedPull, {
+        reviews: pullsConfig.reviews !== false,
+        reviewComments: pullsConfig.review_comments !== false
+      });
+      syncSpinner.text = `Fetching pull request details (${++done} fetched, ${listedPulls.length} listed)...`;
+      return pull;
+    });
+    const changedPulls = pulls.filter(pull => !pull._syncSnapshot);
+    
+    if (reuseSnapshots) {
+      console.log(chalk.gray(`✓ ${changedPulls.length} pull requests changed since last sync (${pulls.length} total)`));
+    }
+    
+    if (commentsConfig.enabled && changedPulls.length > 0) {
+      await fetchComments(changedPulls, repo, commentsConfig, githubClient, syncSpinner);
+    }
+    
+    if (configManager.getImagesConfig().enabled && changedPulls.length > 0) {
+      await processImages(changedPulls, githubClient, fileManager, syncSpinner);
+    }
+    
+    if (options.dryRun) {
+      syncSpinner.stop();
+      console.log(chalk.yellow(`[DRY RUN] Would sync ${pulls.length} pull requests to ${configManager.getContentOutputDir(repo, 'pulls')}`));
+      return { repo, pulls: [], success: true };
+    }
+    
+    syncSpinner.text = 'Writing files...';
+    const processedPulls = await fileManager.writePullRequests(pulls, repo, useIncrementalSync, fetchInfo);
+    
+    syncSpinner.stop();
+    console.log(chalk.green(`✓ Successfully synced ${pulls.length} pull requests`));
+    
+    return { repo, pulls: processedPulls, success: true };
+    
+  } catch (error) {
+    syncSpinner.stop();
+    console.error(chalk.red(`✗ Failed to sync pull requests of ${repo.owner}/${repo.repo}: ${error.message}`));
+    return { repo, pulls: [], success: false, error };
+  }
+}
+
+async function syncRepositoryDiscussions(repo, options, configManager, githubClient, fileManager, progress) {
+  const syncSpinner = progress.start(repoLabel(repo), 'Fetching discussions...');
+  
+  try {
+    const discussionsConfig = configManager.getDiscussionsConfig();
+    const useIncrementalSync = options.incremental !== false;
+    
+    // Discussions have their own filter vocabulary; the hash detects category list changes
+    const filters = { state: 'all', categories: discussionsConfig.categories };
+    const syncTracker = new SyncTracker(repo, 'discussions');
+    const fetchInfo = { startedAt: new Date().toISOString(), full: true, filters };
+    let since = null;
+    
+    if (useIncrementalSync && canFetchIncrementally(syncTracker, filters, configManager)) {
+      since = syncTracker.getLastSyncTime();
+      fetchInfo.full = false;
+      syncSpinner.text = `Fetching discussions updated since ${since}...`;
+    }
+    
+    let discussions = await githubClient.taskPool.run(() => githubClient.safeGetDiscussions(repo.owner, repo.repo, {
+      since,
+      commentsLimit: discussionsConfig.comments_limit
+    }));
+    fetchInfo.truncated = !!discussions.truncated;
+    
+    if (configManager.getImagesConfig().enabled && discussions.length > 0) {
+      await processImages(discussions, githubClient, fileManager, syncSpinner);
+    }
+    
+    if (!fetchInfo.full) {
+      const changedCount = discussions.length;
+      discussions = githubClient.sortIssues(syncTracker.mergeIncrementalIssues(discussions, filters), 'updated', 'desc');
+      console.log(chalk.gray(`✓ ${changedCount} discussions changed since last sync (${discussions.length} total)`));
+    }
+    
+    // Filtered after merging so discussions moved to another category are removed
+    discussions = discussions.filter(discussion => discussionMatchesCategories(discussion, discussionsConfig.categories));
+    
+    if (options.dryRun) {
+      syncSpinner.stop();
+      console.log(chalk.yellow(`[DRY RUN] Would sync ${discussions.length} discussions to ${configManager.getContentOutputDir(repo, 'discussions')}`));
+      return { repo, discussions: [], success: true };
+    }
+    
+    syncSpinner.text = 'Writing files...';
+    const processedDiscussions = await fileManager.writeDiscussions(discussions, repo, useIncrementalSync, fetchInfo);
+    
+    syncSpinner.stop();
+    console.log(chalk.green(`✓ Successfully synced ${discussions.length} discussions`));
+    
+    return { repo, discussions: processedDiscussions, success: true };
+    
+  } catch (error) {
+    syncSpinner.stop();
+    console.error(chalk.red(`✗ Failed to sync discussions of ${repo.owner}/${repo.repo}: ${error.message}`));
+    return { repo, discussions: [], success: false, error };
+  }
+}
+
+function repoLabel(repo) {
+  return repo.display_name || `${repo.owner}/${repo.repo}`;
+}
+
+function canFetchIncrementally(syncTracker, filters, configManager) {
+  const syncConfig = configManager.getSyncConfig();
+  
+  // Custom queries and mentions can't be re-checked locally when merging
+  if (!syncConfig.incremental_fetch || filters.query || filters.mentioned) {
+    return false;
+  }
+  
+  return syncTracker.canFetchIncrementally(filters, syncConfig.full_reconcile_interval_hours);
+}
+
+async function createMasterIndex(repositories, configManager, fileManager) {
+  try {
+    const spinner = ora('Creating master index...').start();
+    
+    const outputConfig = configManager.getOutputConfig();
     const masterIndexPath = outputConfig.master_index_path;
     
     let masterContent = '# Projects Overview\\n\\n';
-    masterContent += `**Last Updated:** ${new Date().toISOString()}\\n\\n`;
+    masterContent += `**Last Updated:** ${fileManager.getDateFormatter().formatDate(new Date())}\\n\\n`;
     
     for (const repo of repositories) {
-      const stats = fileManager.getOutputDirectoryStats(repo.output_dir);
+      const contentTypes = configManager.getRepositoryContentTypes(repo);
       const displayName = repo.display_name || `${repo.owner}/${repo.repo}`;
       
       masterContent += `## ${displayName}\\n\\n`;
-      masterContent += `- **Repository:** [${repo.owner}/${repo.repo}](https://github.com/${repo.owner}/${repo.repo})\\n`;
-      masterContent += `- **Issues:** ${stats ? stats.total_files : 'N/A'}\\n`;
+      const { web_url: webUrl } = configManager.getGitHubSettings(repo);
+      masterContent += `- **Repository:** [${repo.owner}/${repo.repo}](${webUrl}/${repo.owner}/${repo.repo})\\n`;
       
-      if (stats && outputConfig.group_by_state) {
-        masterContent += `  - Active: ${stats.by_state.active}\\n`;
-        masterContent += `  - Todo: ${stats.by_state.todo}\\n`;
-        masterContent += `  - Done: ${stats.by_state.done}\\n`;
-        masterContent += `  - Blocked: ${stats.by_state.blocked}\\n`;
+      if (contentTypes.includes('issues')) {
+        const stats = fileManager.getOutputDirectoryStats(repo.output_dir, fileManager.getIssueCategories());
+        masterContent += `- **Issues:** ${stats ? stats.total_files : 'N/A'}\\n`;
+        
+        if (stats && outputConfig.group_by_state) {
+          for (const [category, count] of Object.entries(stats.by_state)) {
+            masterContent += `  - ${category.charAt(0).toUpperCase()}${category.slice(1)}: ${count}\\n`;
+          }
+        }
+        
+        if (outputConfig.create_index) {
+          const indexPath = path.relative(path.dirname(masterIndexPath), path.join(repo.output_dir, 'index.md'));
+          masterContent += `- **Details:** [View Issues](${indexPath})\\n`;
+        }
+      }
+      
+      if (contentTypes.includes('pulls')) {
+        const pullsDir = configManager.getContentOutputDir(repo, 'pulls');
+        const stats = fileManager.getOutputDirectoryStats(pullsDir, PULL_REQUEST_CATEGORIES);
+        masterContent += `- **Pull Requests:** ${stats ? stats.total_files : 'N/A'}\\n`;
+        
+        if (outputConfig.create_index) {
+          const indexPath = path.relative(path.dirname(masterIndexPath), path.join(pullsDir, 'index.md'));
+          masterContent += `- **Details:** [View Pull Requests](${indexPath})\\n`;
+        }
       }
       
-      if (outputConfig.create_index) {
-        const indexPath = path.relative(path.dirname(masterIndexPath), path.join(repo.output_dir, 'index.md'));
-        masterContent += `- **Details:** [View Issues](${indexPath})\\n`;
+      if (contentTypes.includes('discussions')) {
+        const discussionsDir = configManager.getContentOutputDir(repo, 'discussions');
+        const stats = fileManager.getOutputDirectoryStats(discussionsDir, null);
+        masterContent += `- **Discussions:** ${stats ? stats.total_files : 'N/A'}\\n`;
+        
+        if (outputConfig.create_index) {
+          const indexPath = path.relative(path.dirname(masterIndexPath), path.join(discussionsDir, 'index.md'));
+          masterContent += `- **Details:** [View Discussions](${indexPath})\\n`;
+        }
       }
       
       masterContent += '\\n';
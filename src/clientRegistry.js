@@ -0,0 +1,126 @@
+import { GitHubClient } from './github.js';
+import { GitHubAppAuth } from './githubApp.js';
+import { RateLimitScheduler } from './rateLimiter.js';
+import { TaskPool } from './taskPool.js';
+
+/**
+ * Hands out one GitHubClient per GitHub host and token, so repositories on
+ * github.com and on GitHub Enterprise Server instances can be synced together.
+ * With GitHub App credentials there is one client per owner, because each
+ * owner has its own installation. Clients that draw on the same rate limit
+ * (same host and token, or same app installation) share one scheduler, and
+ * all clients share one task pool (`performance.concurrent_requests`).
+ */
+export class GitHubClientRegistry {
+  constructor(configManager, clientOptions = {}) {
+    this.configManager = configManager;
+    this.clientOptions = clientOptions;
+    this.clients = new Map();
+    this.appAuths = new Map();
+    this.rateLimiters = new Map();
+    this.taskPool = new TaskPool(clientOptions.concurrentRequests);
+  }
+
+  getRateLimiter(key) {
+    if (!this.rateLimiters.has(key)) {
+      this.rateLimiters.set(key, new RateLimitScheduler({
+        minDelay: this.clientOptions.rateLimitDelay,
+        threshold: this.clientOptions.rateLimitThreshold,
+        maxWait: this.clientOptions.rateLimitMaxWait
+      }));
+    }
+    
+    return this.rateLimiters.get(key);
+  }
+
+  getClient(repository = null) {
+    const settings = this.configManager.getGitHubSettings(repository);
+    
+    if (settings.app) {
+      return this.getAppClient(settings, repository?.owner || null);
+    }
+    
+    const key = `${settings.api_url}|${settings.token}`;
+    
+    if (!this.clients.has(key)) {
+      this.clients.set(key, new GitHubClient(settings.token, {
+        ...this.clientOptions,
+        baseUrl: settings.api_url,
+        webUrl: settings.web_url,
+        rateLimiter: this.getRateLimiter(key),
+        taskPool: this.taskPool
+      }));
+    }
+    
+    return this.clients.get(key);
+  }
+
+  getAppClient(settings, owner) {
+    const { app } = settings;
+    const appKey = `${settings.api_url}|app:${app.app_id}|${app.installation_id || ''}`;
+    // Replays keep the per-owner clients of the recording but need no credentials
+    const replaying = !!this.clientOptions.recorder?.replaying;
+    
+    // Shared per app so JWTs and installation tokens are reused across owners
+    if (!replaying && !this.appAuths.has(appKey)) {
+      this.appAuths.set(appKey, new GitHubAppAuth({
+        appId: app.app_id,
+        privateKey: app.private_key,
+        privateKeyPath: app.private_key_path,
+        installationId: app.installation_id,
+        baseUrl: settings.api_url
+      }));
+    }
+    
+    const key = `${appKey}|${owner}`;
+    if (!this.clients.has(key)) {
+      this.clients.set(key, new GitHubClient(null, {
+        ...this.clientOptions,
+        baseUrl: settings.api_url,
+        webUrl: settings.web_url,
+        appAuth: replaying ? null : this.appAuths.get(appKey),
+        appId: String(app.app_id),
+        owner,
+        // Without a fixed installation each owner has its own installation and limit
+        rateLimiter: this.getRateLimiter(app.installation_id ? appKey : key),
+        taskPool: this.taskPool
+      }));
+    }
+    
+    return this.clients.get(key);
+  }
+
+  getDefaultClient() {
+    // Without global credentials, or with per-owner app installations, use the first repository's client
+    const settings = this.configManager.getGitHubSettings();
+    if ((!settings.token && !settings.app) || (settings.app && !settings.app.installation_id)) {
+      return this.getClient(this.configManager.getAllRepositories()[0]);
+    }
+    
+    return this.getClient(null);
+  }
+
+  getClients() {
+    return [...this.clients.values()];
+  }
+
+  async testConnections(repositories) {
+    const clients = new Set(repositories.map(repo => this.getClient(repo)));
+    
+    for (const client of clients) {
+      if (!await client.testConnection()) {
+        return false;
+      }
+    }
+    
+    return true;
+  }
+
+  getNotModifiedCount() {
+    return this.getClients().reduce((sum, client) => sum + client.notModifiedCount, 0);
+  }
+
+  getRateLimitWait() {
+    return [...this.rateLimiters.values()].reduce((sum, rateLimiter) => sum + rateLimiter.waitedMs, 0);
+  }
+}
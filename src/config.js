@@ -4,15 +4,57 @@ import { fileURLToPath } from 'url';
 import YAML from 'yaml';
 import dotenv from 'dotenv';
 import chalk from 'chalk';
+import { RULE_CONDITIONS } from './categorizer.js';
+import { FILENAME_TOKENS, SLUG_STRATEGIES, matchesGlob, toList } from './utils.js';
+import { DEFAULT_FRONT_MATTER_FIELDS } from './frontMatter.js';
+import { DEFAULT_PUSH_FIELDS, PUSH_FIELDS } from './localEdits.js';
+import { DEFAULT_DRAFTS_DIR } from './drafts.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const PROJECT_ROOT = path.join(__dirname, '..');
 
+const DEFAULT_API_URL = 'https://api.github.com';
+const DEFAULT_WEB_URL = 'https://github.com';
+// Not needed offline (sync --replay), so they may stay unset
+const CREDENTIAL_KEYS = ['token', 'private_key', 'private_key_path'];
+const DISCOVERY_VISIBILITIES = ['all', 'public', 'private', 'internal'];
+// Settings of an `org` entry that select repositories rather than configure them
+const DISCOVERY_KEYS = ['org', 'include', 'exclude', 'topics', 'visibility', 'archived'];
+
+/**
+ * Whether a repository listed for an organization matches the include /
+ * exclude patterns, topics, visibility and archived setting of an `org` entry.
+ */
+function repositoryMatchesDiscovery(repository, entry) {
+  const include = toList(entry.include);
+  if (include.length > 0 && !include.some(pattern => matchesGlob(repository.name, pattern))) {
+    return false;
+  }
+  
+  if (toList(entry.exclude).some(pattern => matchesGlob(repository.name, pattern))) {
+    return false;
+  }
+  
+  const topics = toList(entry.topics);
+  if (topics.length > 0 && !topics.some(topic => (repository.topics || []).includes(topic))) {
+    return false;
+  }
+  
+  // Older GitHub Enterprise Server versions only report `private`
+  const visibility = repository.visibility || (repository.private ? 'private' : 'public');
+  if (entry.visibility && entry.visibility !== 'all' && visibility !== entry.visibility) {
+    return false;
+  }
+  
+  return !repository.archived || entry.archived === true;
+}
+
 export class ConfigManager {
   constructor() {
     this.config = null;
     this.envLoaded = false;
+    this.offline = false;
   }
 
   loadEnvironment() {
@@ -28,8 +70,12 @@ export class ConfigManager {
     this.envLoaded = true;
   }
 
-  loadConfig(configPath = null) {
+  /**
+   * `offline` (replaying a recording) loads configs without GitHub credentials.
+   */
+  loadConfig(configPath = null, options = {}) {
     this.loadEnvironment();
+    this.offline = options.offline === true;
     
     const defaultConfigPath = path.join(PROJECT_ROOT, 'config.yml');
     const configFilePath = configPath || defaultConfigPath;
@@ -58,9 +104,8 @@ export class ConfigManager {
       throw new Error('No configuration loaded');
     }
     
-    // Validate GitHub token
-    if (!this.config.github?.token) {
-      throw new Error('GitHub token is required in config');
+    if (!this.config.github) {
+      throw new Error('github section is required in config');
     }
     
     // Validate repositories
@@ -74,30 +119,200 @@ export class ConfigManager {
     
     // Validate each repository
     this.config.repositories.forEach((repo, index) => {
-      if (!repo.owner || !repo.repo) {
+      if (repo.org !== undefined) {
+        this.validateDiscoveryEntry(repo, `Repository ${index + 1}`);
+      } else if (!repo.owner || !repo.repo) {
         throw new Error(`Repository ${index + 1}: owner and repo are required`);
       }
       
+      // Validate credentials (global, or per repository for other hosts)
+      if (!this.offline && !this.config.github.token && !this.config.github.app && !repo.token && !repo.app) {
+        throw new Error(`Repository ${index + 1}: GitHub token or GitHub App credentials are required in config`);
+      }
+      
+      const app = repo.app || (!repo.token && this.config.github.app);
+      if (app && !this.offline && (!app.app_id || (!app.private_key_path && !app.private_key))) {
+        throw new Error(`Repository ${index + 1}: GitHub App requires app_id and private_key_path`);
+      }
+      
       if (!repo.output_dir) {
         throw new Error(`Repository ${index + 1}: output_dir is required`);
       }
       
+      if (repo.type && !['issues', 'pulls', 'discussions'].includes(repo.type)) {
+        throw new Error(`Repository ${index + 1}: unknown type '${repo.type}' (expected issues, pulls or discussions)`);
+      }
+      
+      if (repo.dates) {
+        this.validateDateSettings(repo.dates, `Repository ${index + 1}: dates`);
+      }
+      
+      if (repo.push) {
+        this.validatePushFields(repo.push, `Repository ${index + 1}: push.fields`);
+      }
+      
       // Set default values
       if (repo.enabled === undefined) {
         repo.enabled = true;
       }
       
-      if (!repo.display_name) {
+      if (!repo.display_name && repo.org === undefined) {
         repo.display_name = `${repo.owner}/${repo.repo}`;
       }
     });
+    
+    this.validateCategorizationRules();
+    this.validateFilenamePattern();
+    this.validateSlugSettings();
+    
+    if (this.config.dates) {
+      this.validateDateSettings(this.config.dates, 'dates');
+    }
+    
+    this.validateFrontMatterFields();
+    
+    if (this.config.push) {
+      this.validatePushFields(this.config.push, 'push.fields');
+    }
+  }
+
+  validatePushFields(push, context) {
+    if (push.fields === undefined) {
+      return;
+    }
+    
+    if (!Array.isArray(push.fields)) {
+      throw new Error(`${context} must be a list (${PUSH_FIELDS.join(', ')})`);
+    }
+    
+    const unknown = push.fields.filter(field => !PUSH_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw new Error(`${context}: unknown field ${unknown.join(', ')} (expected ${PUSH_FIELDS.join(', ')})`);
+    }
+  }
+
+  validateDiscoveryEntry(entry, context) {
+    if (!entry.org || typeof entry.org !== 'string') {
+      throw new Error(`${context}: org must be an organization name`);
+    }
+    
+    if (entry.owner || entry.repo) {
+      throw new Error(`${context}: org entries discover their repositories, remove owner/repo`);
+    }
+    
+    // Every discovered repository needs a directory of its own
+    if (entry.output_dir && !entry.output_dir.includes('{repo}')) {
+      throw new Error(`${context}: output_dir of an org entry must contain {repo} (e.g. ./docs/issues/{owner}/{repo})`);
+    }
+    
+    if (entry.visibility !== undefined && !DISCOVERY_VISIBILITIES.includes(entry.visibility)) {
+      throw new Error(`${context}: unknown visibility '${entry.visibility}' (expected ${DISCOVERY_VISIBILITIES.join(', ')})`);
+    }
+  }
+
+  validateFrontMatterFields() {
+    // An empty `fields:` (everything commented out) keeps the defaults
+    const fields = this.config.front_matter?.fields;
+    if (fields === undefined || fields === null) {
+      return;
+    }
+    
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      throw new Error('front_matter.fields must map front-matter keys to data paths');
+    }
+    
+    for (const [key, fieldPath] of Object.entries(fields)) {
+      if (fieldPath !== null && fieldPath !== false && (typeof fieldPath !== 'string' || !fieldPath.trim())) {
+        throw new Error(`front_matter.fields.${key}: expected a data path such as "milestone.title", or null to leave it out`);
+      }
+    }
+  }
+
+  validateDateSettings(dates, context) {
+    try {
+      if (dates.locale) {
+        Intl.getCanonicalLocales(dates.locale);
+      }
+      if (dates.timezone) {
+        new Intl.DateTimeFormat('en-US', { timeZone: dates.timezone });
+      }
+    } catch (error) {
+      throw new Error(`${context}: ${error.message}`);
+    }
+    
+    if (dates.date_format !== undefined && dates.date_format !== null && typeof dates.date_format !== 'string') {
+      throw new Error(`${context}: date_format must be a string such as "YYYY-MM-DD HH:mm"`);
+    }
+  }
+
+  validateSlugSettings() {
+    const { slug_strategy: strategy, slug_max_length: maxLength } = this.config.output || {};
+    
+    if (strategy !== undefined && !SLUG_STRATEGIES.includes(strategy)) {
+      throw new Error(`output.slug_strategy must be one of: ${SLUG_STRATEGIES.join(', ')}`);
+    }
+    
+    if (maxLength !== undefined && maxLength !== null && (!Number.isInteger(maxLength) || maxLength < 1)) {
+      throw new Error('output.slug_max_length must be a positive integer');
+    }
+  }
+
+  validateFilenamePattern() {
+    const pattern = this.config.output?.filename_pattern;
+    if (pattern === undefined) {
+      return;
+    }
+    
+    if (typeof pattern !== 'string' || !pattern.trim() || /[\\/]/.test(pattern)) {
+      throw new Error('output.filename_pattern must be a non-empty file name without slashes');
+    }
+    
+    for (const [, token] of pattern.matchAll(/\{(\w+)(?::[^}]+)?\}/g)) {
+      if (!FILENAME_TOKENS.includes(token)) {
+        throw new Error(`output.filename_pattern: unknown token {${token}} (expected ${FILENAME_TOKENS.map(name => `{${name}}`).join(', ')})`);
+      }
+    }
+    
+    // Without the number two issues with the same title would share a file
+    if (!pattern.includes('{number}')) {
+      throw new Error('output.filename_pattern must contain {number}');
+    }
+  }
+
+  validateCategorizationRules() {
+    const rules = this.config.categorization?.rules || [];
+    
+    rules.forEach((rule, index) => {
+      const label = `categorization.rules[${index}]`;
+      
+      if (!rule.folder || typeof rule.folder !== 'string' || /[\\/]|^\.+$/.test(rule.folder)) {
+        throw new Error(`${label}: folder must be a plain folder name`);
+      }
+      
+      const unknown = Object.keys(rule).filter(key => key !== 'folder' && key !== 'name' && !RULE_CONDITIONS.includes(key));
+      if (unknown.length > 0) {
+        throw new Error(`${label}: unknown condition '${unknown[0]}' (expected ${RULE_CONDITIONS.join(', ')})`);
+      }
+      
+      for (const key of ['label_pattern', 'title_pattern', 'body_pattern']) {
+        if (!rule[key]) continue;
+        try {
+          new RegExp(rule[key]);
+        } catch (error) {
+          throw new Error(`${label}: invalid ${key}: ${error.message}`);
+        }
+      }
+    });
   }
 
   substituteEnvironmentVariables() {
-    const substituteValue = (value) => {
+    const substituteValue = (value, key = null) => {
       if (typeof value === 'string') {
         return value.replace(/\$\{([^}]+)\}/g, (match, varName) => {
           const envValue = process.env[varName];
+          if (envValue === undefined && this.offline && CREDENTIAL_KEYS.includes(key)) {
+            return match;
+          }
           if (envValue === undefined) {
             throw new Error(`Environment variable ${varName} is not defined`);
           }
@@ -105,11 +320,11 @@ export class ConfigManager {
         });
       } else if (typeof value === 'object' && value !== null) {
         if (Array.isArray(value)) {
-          return value.map(substituteValue);
+          return value.map(item => substituteValue(item));
         } else {
           const result = {};
           for (const [key, val] of Object.entries(value)) {
-            result[key] = substituteValue(val);
+            result[key] = substituteValue(val, key);
           }
           return result;
         }
@@ -127,16 +342,122 @@ export class ConfigManager {
     return this.config;
   }
 
-  getGitHubToken() {
-    return this.getConfig().github.token;
+  getGitHubToken(repository = null) {
+    return this.getGitHubSettings(repository).token;
+  }
+
+  /**
+   * Resolve credentials and URLs for a repository. Entries may override the
+   * global `github` block with their own `api_url`, `web_url`, `token` or
+   * `app`, e.g. for repositories on a GitHub Enterprise Server instance.
+   * GitHub App credentials take precedence over a token from the same level.
+   */
+  getGitHubSettings(repository = null) {
+    const github = this.getConfig().github;
+    const apiUrl = (repository?.api_url || github.api_url || DEFAULT_API_URL).replace(/\/+$/, '');
+    
+    // Repositories on another API host don't inherit the global web_url
+    const inheritWebUrl = !repository?.api_url || repository.api_url === github.api_url;
+    const webUrl = repository?.web_url || (inheritWebUrl && github.web_url) || this.deriveWebUrl(apiUrl);
+    
+    // A repository-level token replaces global app credentials and vice versa
+    const app = repository?.app || (!repository?.token && github.app) || null;
+    
+    return {
+      token: app ? null : (repository?.token || github.token),
+      app,
+      api_url: apiUrl,
+      web_url: webUrl.replace(/\/+$/, '')
+    };
+  }
+
+  deriveWebUrl(apiUrl) {
+    if (apiUrl === DEFAULT_API_URL) {
+      return DEFAULT_WEB_URL;
+    }
+    
+    // GitHub Enterprise Server serves the REST API under /api/v3
+    return apiUrl.replace(/\/api\/v3$/, '');
+  }
+
+  getWebUrls() {
+    const webUrls = this.getAllRepositories().map(repo => this.getGitHubSettings(repo).web_url);
+    return [...new Set([this.getGitHubSettings().web_url, ...webUrls])];
+  }
+
+  getTransport() {
+    const transport = this.getConfig().github.transport || 'rest';
+    if (!['rest', 'graphql'].includes(transport)) {
+      throw new Error(`Unknown github.transport '${transport}' (expected rest or graphql)`);
+    }
+    return transport;
   }
 
   getRepositories() {
-    return this.getConfig().repositories.filter(repo => repo.enabled !== false);
+    return this.getAllRepositories().filter(repo => repo.enabled !== false);
   }
 
   getAllRepositories() {
-    return this.getConfig().repositories;
+    return this.getConfig().repositories.filter(repo => repo.org === undefined);
+  }
+
+  /**
+   * Replace `org` entries with the organization's repositories that match
+   * them. Each one gets the entry's settings and its output_dir with {owner}
+   * and {repo} filled in. Repositories listed explicitly keep their own
+   * entry, and of several matching org entries the first one wins.
+   */
+  async discoverRepositories(clients) {
+    const config = this.getConfig();
+    if (!config.repositories.some(repo => repo.org !== undefined)) {
+      return;
+    }
+    
+    const known = new Set(this.getAllRepositories().map(repo => `${repo.owner}/${repo.repo}`.toLowerCase()));
+    const repositories = [];
+    
+    for (const entry of config.repositories) {
+      if (entry.org === undefined) {
+        repositories.push(entry);
+        continue;
+      }
+      
+      if (entry.enabled === false) {
+        continue;
+      }
+      
+      const settings = Object.fromEntries(Object.entries(entry).filter(([key]) => !DISCOVERY_KEYS.includes(key)));
+      let listed;
+      try {
+        listed = await clients.getClient({ ...settings, owner: entry.org }).safeGetOrganizationRepositories(entry.org);
+      } catch (error) {
+        console.warn(chalk.yellow(`Warning: Failed to discover repositories of ${entry.org}: ${error.message}`));
+        continue;
+      }
+      
+      const matched = listed.filter(repository => repositoryMatchesDiscovery(repository, entry));
+      for (const repository of matched) {
+        const owner = repository.owner.login;
+        const name = `${owner}/${repository.name}`;
+        if (known.has(name.toLowerCase())) {
+          continue;
+        }
+        known.add(name.toLowerCase());
+        
+        repositories.push({
+          ...structuredClone(settings),
+          owner,
+          repo: repository.name,
+          output_dir: entry.output_dir.replace(/\{owner\}/g, owner).replace(/\{repo\}/g, repository.name),
+          display_name: name,
+          discovered_from: entry.org
+        });
+      }
+      
+      console.log(chalk.gray(`✓ Discovered ${matched.length} repositories in ${entry.org} (${listed.length} listed)`));
+    }
+    
+    config.repositories = repositories;
   }
 
   getRepositoryGroups() {
@@ -149,9 +470,10 @@ export class ConfigManager {
       throw new Error(`Repository group '${groupName}' not found`);
     }
     
+    // Entries may be patterns such as "acme/*" to take in discovered repositories
     const groupRepos = groups[groupName];
     return this.getRepositories().filter(repo => 
-      groupRepos.includes(`${repo.owner}/${repo.repo}`)
+      groupRepos.some(pattern => matchesGlob(`${repo.owner}/${repo.repo}`, pattern))
     );
   }
 
@@ -187,7 +509,10 @@ export class ConfigManager {
       group_by_state: true,
       create_master_index: true,
       master_index_path: './docs/README.md',
-      use_enhanced_template: true
+      use_enhanced_template: true,
+      filename_pattern: '{number}-{slug}',
+      slug_strategy: 'ascii',
+      slug_max_length: null
     };
   }
 
@@ -195,7 +520,25 @@ export class ConfigManager {
     return this.getConfig().performance || {
       concurrent_repos: 3,
       concurrent_requests: 2,
-      rate_limit_delay: 100
+      rate_limit_delay: 100,
+      max_issues: null
+    };
+  }
+
+  getSyncConfig() {
+    return {
+      incremental_fetch: true,
+      full_reconcile_interval_hours: 24,
+      ...this.getConfig().sync
+    };
+  }
+
+  getCacheConfig() {
+    return {
+      ttl_minutes: 5,
+      max_entries: 1000,
+      conditional_requests: true,
+      ...this.getConfig().cache
     };
   }
 
@@ -211,6 +554,95 @@ export class ConfigManager {
     };
   }
 
+  getTimelineConfig() {
+    return {
+      enabled: false,
+      events: [],
+      ...this.getConfig().timeline
+    };
+  }
+
+  getSubIssuesConfig() {
+    return {
+      enabled: false,
+      max_depth: 3,
+      ...this.getConfig().sub_issues
+    };
+  }
+
+  /**
+   * Date settings for a repository: its own `dates` override the global ones
+   * key by key. A null timezone means the machine's time zone.
+   */
+  getDateConfig(repository = null) {
+    return {
+      locale: 'ja-JP',
+      timezone: null,
+      date_format: null,
+      ...this.getConfig().dates,
+      ...repository?.dates
+    };
+  }
+
+  /**
+   * Front-matter settings; `fields` adds to or overrides the default mapping
+   * and a null path removes a default field.
+   */
+  getFrontMatterConfig() {
+    const frontMatter = this.getConfig().front_matter || {};
+    
+    return {
+      enabled: false,
+      ...frontMatter,
+      fields: { ...DEFAULT_FRONT_MATTER_FIELDS, ...frontMatter.fields }
+    };
+  }
+
+  /**
+   * Which fields `gis push` may change on GitHub; a repository's own `push`
+   * settings replace the global ones.
+   */
+  getPushConfig(repository = null) {
+    return {
+      fields: DEFAULT_PUSH_FIELDS,
+      ...this.getConfig().push,
+      ...repository?.push
+    };
+  }
+
+  getDraftsConfig() {
+    return {
+      dir: DEFAULT_DRAFTS_DIR,
+      ...this.getConfig().drafts
+    };
+  }
+
+  getBulkConfig() {
+    return {
+      // GitHub asks for at least a second between content-changing requests
+      delay_ms: 1000,
+      ...this.getConfig().bulk
+    };
+  }
+
+  getCategorizationConfig() {
+    return {
+      rules: [],
+      default: 'todo',
+      ...this.getConfig().categorization
+    };
+  }
+
+  getProjectsConfig() {
+    return {
+      enabled: false,
+      project: null,
+      categorize_by: null,
+      folder_map: {},
+      ...this.getConfig().projects
+    };
+  }
+
   getImagesConfig() {
     return this.getConfig().images || {
       enabled: true,
@@ -224,6 +656,56 @@ export class ConfigManager {
     };
   }
 
+  getPullRequestsConfig() {
+    return {
+      directory: 'pulls',
+      reviews: true,
+      review_comments: true,
+      ...this.getConfig().pull_requests
+    };
+  }
+
+  getDiscussionsConfig() {
+    return {
+      directory: 'discussions',
+      categories: [],
+      comments_limit: 100,
+      ...this.getConfig().discussions
+    };
+  }
+
+  /**
+   * What to sync for a repository: issues (default), plus pull requests and
+   * discussions with `include_pull_requests` / `include_discussions`, or a
+   * single content type with `type: pulls` / `type: discussions`.
+   */
+  getRepositoryContentTypes(repository) {
+    if (repository.type === 'pulls' || repository.type === 'discussions') {
+      return [repository.type];
+    }
+    
+    const contentTypes = ['issues'];
+    if (repository.include_pull_requests) {
+      contentTypes.push('pulls');
+    }
+    if (repository.include_discussions) {
+      contentTypes.push('discussions');
+    }
+    return contentTypes;
+  }
+
+  getContentOutputDir(repository, contentType) {
+    // Issues and single-type repositories use output_dir directly
+    if (contentType === 'issues' || repository.type === contentType) {
+      return path.resolve(repository.output_dir);
+    }
+    
+    const directory = contentType === 'pulls'
+      ? this.getPullRequestsConfig().directory
+      : this.getDiscussionsConfig().directory;
+    return path.resolve(repository.output_dir, directory);
+  }
+
   getRepositoryConfig(owner, repo) {
     const repository = this.getRepositories().find(r => 
       r.owner === owner && r.repo === repo
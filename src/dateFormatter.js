@@ -0,0 +1,120 @@
+const FORMAT_TOKENS = /\[([^\]]*)\]|YYYY|MMMM|MMM|MM|DD|dddd|ddd|HH|mm|ss|Z/g;
+
+const RELATIVE_UNITS = [
+  ['year', 365 * 24 * 60 * 60],
+  ['month', 30 * 24 * 60 * 60],
+  ['week', 7 * 24 * 60 * 60],
+  ['day', 24 * 60 * 60],
+  ['hour', 60 * 60],
+  ['minute', 60],
+  ['second', 1]
+];
+
+/**
+ * Renders dates in the configured locale and time zone, either with a
+ * `date_format` pattern (YYYY-MM-DD HH:mm) or the locale's own format.
+ */
+export class DateFormatter {
+  constructor(options = {}) {
+    this.locale = options.locale || 'ja-JP';
+    this.timezone = options.timezone || undefined;
+    this.format = options.date_format || null;
+
+    this.partsFormatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      timeZoneName: 'short'
+    });
+    this.relativeFormatter = new Intl.RelativeTimeFormat(this.locale, { numeric: 'auto' });
+  }
+
+  /**
+   * Formatted date, or null for a missing one. `format` overrides the
+   * configured pattern, e.g. comments.timestamp_format.
+   */
+  formatDate(value, format = this.format) {
+    if (!value) {
+      return null;
+    }
+
+    const date = new Date(value);
+    if (!format) {
+      return date.toLocaleDateString(this.locale, {
+        timeZone: this.timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit'
+      });
+    }
+
+    const parts = Object.fromEntries(this.partsFormatter.formatToParts(date).map(part => [part.type, part.value]));
+    const localized = options => date.toLocaleDateString(this.locale, { timeZone: this.timezone, ...options });
+
+    return format.replace(FORMAT_TOKENS, (token, literal) => {
+      if (literal !== undefined) {
+        return literal;
+      }
+
+      switch (token) {
+      case 'YYYY':
+        return parts.year;
+      case 'MMMM':
+        return localized({ month: 'long' });
+      case 'MMM':
+        return localized({ month: 'short' });
+      case 'MM':
+        return parts.month;
+      case 'DD':
+        return parts.day;
+      case 'dddd':
+        return localized({ weekday: 'long' });
+      case 'ddd':
+        return localized({ weekday: 'short' });
+      case 'HH':
+        return parts.hour;
+      case 'mm':
+        return parts.minute;
+      case 'ss':
+        return parts.second;
+      case 'Z':
+        return parts.timeZoneName;
+      default:
+        return token;
+      }
+    });
+  }
+
+  /**
+   * "3 days ago" in the configured locale, relative to `now`.
+   */
+  formatRelative(value, now = new Date()) {
+    if (!value) {
+      return null;
+    }
+
+    const seconds = Math.round((new Date(value) - now) / 1000);
+    const [unit, size] = RELATIVE_UNITS.find(([, unitSeconds]) => Math.abs(seconds) >= unitSeconds) || RELATIVE_UNITS[RELATIVE_UNITS.length - 1];
+
+    return this.relativeFormatter.format(Math.round(seconds / size), unit);
+  }
+
+  /**
+   * Template variables for one date: `name` formatted, `name_iso` and
+   * `name_relative`.
+   */
+  dateFields(name, value, format = this.format) {
+    return {
+      [name]: this.formatDate(value, format),
+      [`${name}_iso`]: value ? new Date(value).toISOString() : null,
+      [`${name}_relative`]: this.formatRelative(value)
+    };
+  }
+}
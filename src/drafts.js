@@ -0,0 +1,50 @@
+// Issue drafts written offline and opened on GitHub by `gis create`.
+// A draft is a markdown file with optional front matter (repo, title, labels,
+// assignees, milestone); without a title the leading "# heading" is used.
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { toList } from './utils.js';
+
+export const DEFAULT_DRAFTS_DIR = './drafts';
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+export function parseDraft(content) {
+  const match = content.match(FRONT_MATTER);
+  const frontMatter = (match && YAML.parse(match[1])) || {};
+  let body = match ? content.slice(match[0].length) : content;
+  let title = frontMatter.title ? String(frontMatter.title).trim() : null;
+
+  if (!title) {
+    const heading = body.match(/^\s*# (.+)(?:\r?\n|$)/);
+    if (heading) {
+      title = heading[1].trim();
+      body = body.slice(heading[0].length);
+    }
+  }
+
+  return {
+    repo: frontMatter.repo ? String(frontMatter.repo).trim() : null,
+    title,
+    body: body.trim(),
+    labels: toList(frontMatter.labels),
+    assignees: toList(frontMatter.assignees).map(login => login.replace(/^@/, '')),
+    milestone: frontMatter.milestone ?? null
+  };
+}
+
+/**
+ * Markdown files directly in the drafts directory, in name order.
+ */
+export function listDrafts(draftsDir) {
+  if (!fs.existsSync(draftsDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(draftsDir)
+    .filter(name => name.endsWith('.md'))
+    .sort()
+    .map(name => path.join(draftsDir, name));
+}
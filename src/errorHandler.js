@@ -138,16 +138,12 @@ export class ErrorHandler {
       throw new Error('GitHub authentication failed. Please check your token and permissions.');
         
     case 403:
-      if (error.message.includes('rate limit')) {
-        this.log('warn', 'Rate limit exceeded, waiting before retry', error, context);
+      // The rate limit scheduler already waited and retried; getting here means it gave up
+      if (error.message.includes('rate limit') || error.response?.headers?.['x-ratelimit-remaining'] === '0') {
+        this.log('error', 'Rate limit exceeded', error, context);
         const resetTime = error.response?.headers?.['x-ratelimit-reset'];
-        if (resetTime) {
-          const waitTime = (parseInt(resetTime) * 1000) - Date.now();
-          if (waitTime > 0 && waitTime < 3600000) { // Max 1 hour wait
-            await new Promise(resolve => setTimeout(resolve, waitTime));
-            return; // Allow retry
-          }
-        }
+        const resetAt = resetTime ? ` until ${new Date(parseInt(resetTime) * 1000).toLocaleTimeString()}` : '';
+        throw new Error(`GitHub rate limit exceeded${resetAt}. Try again later or lower the request volume.`);
       }
       this.log('error', 'GitHub API access forbidden', error, context);
       throw new Error('GitHub API access forbidden. Check your token permissions.');
@@ -6,13 +6,21 @@ import chalk from 'chalk';
 import { 
   ensureDirectoryExists, 
   generateFilename, 
-  formatDate, 
-  categorizeIssuesByState, 
+  createFilenameMatcher,
   cleanDirectory, 
   safeWriteFile, 
-  getCurrentTimestamp 
+  getCurrentTimestamp,
+  getProjectFieldValue,
+  safePathSegment,
+  DEFAULT_FILENAME_PATTERN,
+  DEFAULT_SLUG_MAX_LENGTH
 } from './utils.js';
 import { SyncTracker } from './syncTracker.js';
+import { Categorizer } from './categorizer.js';
+import { DateFormatter } from './dateFormatter.js';
+import { buildFrontMatter, renderFrontMatter } from './frontMatter.js';
+import { extractLocalNotes, hasLocalNotes, mergeLocalNotes } from './localNotes.js';
+import { describeTimelineEvent } from './timeline.js';
 import { IssueAnalyzer } from './issueAnalyzer.js';
 import { ImageAnalyzer } from './imageAnalyzer.js';
 
@@ -20,12 +28,33 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const PROJECT_ROOT = path.join(__dirname, '..');
 
+export const PULL_REQUEST_CATEGORIES = ['open', 'draft', 'merged', 'closed'];
+// Project field values become folder names unless folder_map says otherwise
+function projectFolderName(value) {
+  return safePathSegment(String(value).trim().toLowerCase().replace(/[\\/:*?"<>|.]+/g, '').replace(/\s+/g, '-'));
+}
+
+const REVIEW_STATES = {
+  APPROVED: 'approved',
+  CHANGES_REQUESTED: 'changes requested',
+  COMMENTED: 'commented',
+  DISMISSED: 'dismissed'
+};
+
 export class FileManager {
   constructor(config, githubClient = null) {
     this.config = config;
     this.templateConfig = config.getTemplateConfig();
     this.outputConfig = config.getOutputConfig();
-    this.issueAnalyzer = new IssueAnalyzer();
+    this.filenamePattern = this.outputConfig.filename_pattern || DEFAULT_FILENAME_PATTERN;
+    this.slugOptions = {
+      strategy: this.outputConfig.slug_strategy || 'ascii',
+      maxLength: this.outputConfig.slug_max_length === undefined ? DEFAULT_SLUG_MAX_LENGTH : this.outputConfig.slug_max_length
+    };
+    this.projectsConfig = config.getProjectsConfig();
+    this.frontMatterConfig = config.getFrontMatterConfig();
+    this.categorizer = new Categorizer(config.getCategorizationConfig());
+    this.issueAnalyzer = new IssueAnalyzer({ webUrls: config.getWebUrls() });
     
     // Image analysis support
     if (githubClient) {
@@ -35,23 +64,152 @@ export class FileManager {
     // Enhanced template support
     this.enhancedTemplate = this.templateConfig.enhanced_issue || './templates/issue-enhanced.md';
     this.useEnhancedTemplate = config.getOutputConfig().use_enhanced_template !== false;
+    
+    // Pull request templates
+    this.pullRequestTemplate = this.templateConfig.pull_request || './templates/pull-request.md';
+    this.pullRequestIndexTemplate = this.templateConfig.pull_request_index || './templates/pull-request-index.md';
+    
+    // Discussion templates
+    this.discussionTemplate = this.templateConfig.discussion || './templates/discussion.md';
+    this.discussionIndexTemplate = this.templateConfig.discussion_index || './templates/discussion-index.md';
+  }
+
+  /**
+   * How a kind of tracked item is laid out on disk: its category folders and
+   * how single files and the index are rendered.
+   */
+  getIssueLayout(context = {}) {
+    return {
+      noun: 'issue',
+      categories: this.getIssueCategories(),
+      categorize: issue => this.categorizeIssue(issue),
+      writeFile: (issue, filePath) => this.writeIssueFile(issue, filePath, context),
+      writeIndex: (issues, outputDir) => this.writeIndexFile(issues, outputDir, context.dates)
+    };
+  }
+
+  /**
+   * Folders issues are sorted into. Project field values aren't known up
+   * front, so categorizing by a project field accepts any folder (null).
+   */
+  getIssueCategories() {
+    return this.projectsConfig.enabled && this.projectsConfig.categorize_by ? null : this.categorizer.getFolders();
+  }
+
+  getPullRequestLayout(context = {}) {
+    return {
+      noun: 'pull request',
+      categories: PULL_REQUEST_CATEGORIES,
+      categorize: pull => this.categorizePullRequest(pull),
+      writeFile: (pull, filePath) => this.writePullRequestFile(pull, filePath, context),
+      writeIndex: (pulls, outputDir) => this.writePullRequestIndexFile(pulls, outputDir, context.dates)
+    };
+  }
+
+  getDiscussionLayout(context = {}) {
+    return {
+      noun: 'discussion',
+      categories: null,
+      categorize: discussion => this.categorizeDiscussion(discussion),
+      writeFile: (discussion, filePath) => this.writeDiscussionFile(discussion, filePath, context),
+      writeIndex: (discussions, outputDir) => this.writeDiscussionIndexFile(discussions, outputDir, context.dates)
+    };
+  }
+
+  /**
+   * Renders dates with the locale, time zone and format of a repository,
+   * falling back to the global `dates` settings.
+   */
+  getDateFormatter(repositoryConfig = null) {
+    return new DateFormatter(this.config.getDateConfig(repositoryConfig));
+  }
+
+  async writeIssues(issues, repositoryConfig, useIncrementalSync = true, fetchInfo = {}) {
+    const outputDir = path.resolve(repositoryConfig.output_dir);
+    const syncTracker = new SyncTracker(repositoryConfig);
+    const layout = this.getIssueLayout({
+      issuePaths: this.collectIssuePaths(issues, outputDir, syncTracker),
+      dates: this.getDateFormatter(repositoryConfig)
+    });
+    
+    return await this.writeTrackedItems(issues, outputDir, syncTracker, layout, useIncrementalSync, fetchInfo);
+  }
+
+  /**
+   * Writes a single issue outside a full sync, e.g. one just created: into
+   * its state folder and registered with the sync tracker. The index is
+   * brought up to date by the next sync.
+   */
+  async syncIssue(issue, repositoryConfig) {
+    const outputDir = path.resolve(repositoryConfig.output_dir);
+    const syncTracker = new SyncTracker(repositoryConfig);
+    const layout = this.getIssueLayout({
+      issuePaths: this.collectIssuePaths([issue], outputDir, syncTracker),
+      dates: this.getDateFormatter(repositoryConfig)
+    });
+    const filePath = this.getItemPath(issue, outputDir, layout, syncTracker);
+    
+    await this.relocateTrackedFile(issue, filePath, syncTracker, layout);
+    ensureDirectoryExists(path.dirname(filePath));
+    await layout.writeFile(issue, filePath);
+    
+    syncTracker.markIssueProcessed(issue, filePath);
+    syncTracker.saveSyncData();
+    
+    return filePath;
+  }
+
+  /**
+   * Where each synced issue ends up on disk, so that parent and sub-issue
+   * links can point at the local files instead of GitHub.
+   */
+  collectIssuePaths(issues, outputDir, syncTracker = null) {
+    const issuePaths = new Map();
+    const layout = this.getIssueLayout();
+    
+    for (const issue of issues) {
+      issuePaths.set(issue.number, this.getItemPath(issue, outputDir, layout, syncTracker));
+    }
+    
+    return issuePaths;
   }
 
-  async writeIssues(issues, repositoryConfig, useIncrementalSync = true) {
+  async writePullRequests(pulls, repositoryConfig, useIncrementalSync = true, fetchInfo = {}) {
+    const outputDir = this.config.getContentOutputDir(repositoryConfig, 'pulls');
+    const syncTracker = new SyncTracker(repositoryConfig, 'pulls');
+    
+    const layout = this.getPullRequestLayout({ dates: this.getDateFormatter(repositoryConfig) });
+    
+    return await this.writeTrackedItems(pulls, outputDir, syncTracker, layout, useIncrementalSync, fetchInfo);
+  }
+
+  async writeDiscussions(discussions, repositoryConfig, useIncrementalSync = true, fetchInfo = {}) {
+    const outputDir = this.config.getContentOutputDir(repositoryConfig, 'discussions');
+    const syncTracker = new SyncTracker(repositoryConfig, 'discussions');
+    
+    const layout = this.getDiscussionLayout({ dates: this.getDateFormatter(repositoryConfig) });
+    
+    return await this.writeTrackedItems(discussions, outputDir, syncTracker, layout, useIncrementalSync, fetchInfo);
+  }
+
+  async writeTrackedItems(issues, outputDir, syncTracker, layout, useIncrementalSync = true, fetchInfo = {}) {
     try {
-      const outputDir = path.resolve(repositoryConfig.output_dir);
-      console.log(chalk.blue(`Writing issues to ${outputDir}...`));
+      console.log(chalk.blue(`Writing ${layout.noun}s to ${outputDir}...`));
 
-      const syncTracker = new SyncTracker(repositoryConfig);
       let issuesToProcess = issues;
       let syncStats = null;
 
       if (useIncrementalSync) {
-        syncStats = await this.performIncrementalSync(issues, syncTracker, outputDir);
+        syncStats = await this.performIncrementalSync(issues, syncTracker, outputDir, layout, fetchInfo);
         issuesToProcess = [...syncStats.new, ...syncStats.updated];
         
+        // Keep snapshots current so the next sync can fetch incrementally
+        syncStats.unchanged.forEach(issue => syncTracker.refreshSnapshot(issue));
+        
         if (syncStats.total === 0) {
           console.log(chalk.yellow('No changes detected. Skipping file write.'));
+          syncTracker.updateLastSyncTime(fetchInfo);
+          syncTracker.saveSyncData();
           return [];
         }
         
@@ -59,98 +217,71 @@ export class FileManager {
       }
 
       if (this.outputConfig.clean_before_sync) {
-        this.cleanOutputDirectory(outputDir);
+        this.cleanOutputDirectory(outputDir, layout);
       }
 
       let processedIssues = [];
 
       if (this.outputConfig.group_by_state) {
-        processedIssues = await this.writeIssuesByState(issuesToProcess, outputDir, syncTracker);
+        processedIssues = await this.writeIssuesByState(issuesToProcess, outputDir, syncTracker, layout);
       } else {
-        processedIssues = await this.writeIssuesFlat(issuesToProcess, outputDir, syncTracker);
+        processedIssues = await this.writeIssuesFlat(issuesToProcess, outputDir, syncTracker, layout);
       }
 
       if (this.outputConfig.create_index) {
         // For index file, use all issues not just processed ones
         const allIssuesForIndex = useIncrementalSync ? issues : processedIssues;
-        await this.writeIndexFile(allIssuesForIndex, outputDir);
+        await layout.writeIndex(allIssuesForIndex, outputDir);
       }
 
       if (useIncrementalSync) {
-        syncTracker.updateLastSyncTime();
+        syncTracker.updateLastSyncTime(fetchInfo);
         syncTracker.saveSyncData();
       }
 
       const totalProcessed = useIncrementalSync ? syncStats.total : processedIssues.length;
-      console.log(chalk.green(`✓ Successfully processed ${totalProcessed} issues (${processedIssues.length} written)`));
+      console.log(chalk.green(`✓ Successfully processed ${totalProcessed} ${layout.noun}s (${processedIssues.length} written)`));
       return processedIssues;
     } catch (error) {
-      console.error(chalk.red(`✗ Failed to write issues: ${error.message}`));
+      console.error(chalk.red(`✗ Failed to write ${layout.noun}s: ${error.message}`));
       throw error;
     }
   }
 
-  async performIncrementalSync(issues, syncTracker, outputDir) {
+  async performIncrementalSync(issues, syncTracker, outputDir, layout = this.getIssueLayout(), fetchInfo = {}) {
     const changes = syncTracker.getChangedIssues(issues);
     
+    // A list cut off by max_issues or the search result cap can't tell us which issues are gone
+    if (fetchInfo.truncated && changes.deleted.length > 0) {
+      console.log(chalk.yellow(`⚠️ The ${layout.noun} list is incomplete, skipping cleanup of ${changes.deleted.length} missing ${layout.noun}s`));
+      changes.deleted = [];
+    }
+    
     // Clean up deleted issues
     if (changes.deleted.length > 0) {
       const cleanedFiles = syncTracker.cleanupDeletedIssues(changes.deleted);
       if (cleanedFiles.length > 0) {
-        console.log(chalk.yellow(`Cleaned up ${cleanedFiles.length} deleted issue files`));
+        console.log(chalk.yellow(`Cleaned up ${cleanedFiles.length} deleted ${layout.noun} files`));
       }
     }
     
-    // Handle state changes for all issues when auto_reorganize is enabled
-    if (this.outputConfig.group_by_state && this.outputConfig.auto_reorganize !== false) {
-      const allIssues = [...changes.new, ...changes.updated, ...changes.unchanged];
-      let movedCount = 0;
-      
-      console.log(chalk.gray(`Checking state changes for ${allIssues.length} issues...`));
-      
-      for (const issue of allIssues) {
-        const syncData = syncTracker.getIssueData(issue.number);
-        if (syncData && syncData.filePath) {
-          const currentState = this.categorizeIssue(issue);
-          const previousState = this.categorizeIssueFromPath(syncData.filePath);
-          
-          // Debug logging (disabled for production)
-          // console.log(chalk.gray(`Issue #${issue.number}: filePath=${syncData.filePath}, previousState=${previousState}, currentState=${currentState}`));
-          
-          if (issue.state === 'closed' && previousState !== 'done') {
-            console.log(chalk.gray(`Issue #${issue.number}: closed but in ${previousState} folder`));
-          }
-          
-          if (previousState && currentState !== previousState) {
-            try {
-              const previousPath = syncData.filePath;
-              const filename = path.basename(previousPath);
-              const newDir = path.join(outputDir, currentState);
-              const newPath = path.join(newDir, filename);
-              
-              if (fs.existsSync(previousPath)) {
-                ensureDirectoryExists(newDir);
-                fs.renameSync(previousPath, newPath);
-                console.log(chalk.blue(`📁 Moved issue #${issue.number} from ${previousState} to ${currentState}`));
-                movedCount++;
-                
-                // Clean up empty directory
-                await this.cleanupEmptyDirectory(path.dirname(previousPath));
-              } else {
-                console.log(chalk.yellow(`⚠️ File not found for issue #${issue.number}: ${previousPath}`));
-              }
-            } catch (error) {
-              console.warn(chalk.yellow(`⚠️ Failed to move issue #${issue.number}: ${error.message}`));
-            }
-          }
-        }
-      }
-      
-      if (movedCount > 0) {
-        console.log(chalk.green(`✓ Automatically reorganized ${movedCount} issues by state`));
+    // Follow state changes and renamed titles of every known issue
+    const allIssues = [...changes.new, ...changes.updated, ...changes.unchanged];
+    let movedCount = 0;
+    
+    console.log(chalk.gray(`Checking state changes for ${allIssues.length} ${layout.noun}s...`));
+    
+    for (const issue of allIssues) {
+      const targetPath = this.getItemPath(issue, outputDir, layout, syncTracker);
+      if (await this.relocateTrackedFile(issue, targetPath, syncTracker, layout)) {
+        movedCount++;
       }
     }
     
+    if (movedCount > 0) {
+      console.log(chalk.green(`✓ Automatically reorganized ${movedCount} ${layout.noun} files`));
+    }
+    
     return {
       new: changes.new,
       updated: changes.updated,
@@ -160,52 +291,47 @@ export class FileManager {
     };
   }
 
-  async writeIssuesByState(issues, outputDir, syncTracker = null) {
-    const categories = categorizeIssuesByState(issues);
+  async writeIssuesByState(issues, outputDir, syncTracker = null, layout = this.getIssueLayout()) {
     const processedIssues = [];
 
-    for (const [state, stateIssues] of Object.entries(categories)) {
-      if (stateIssues.length === 0) continue;
-
-      const stateDir = path.join(outputDir, state);
-      ensureDirectoryExists(stateDir);
-
-      for (const issue of stateIssues) {
-        const filename = generateFilename(issue);
-        const filePath = path.join(stateDir, filename);
-        
-        // Check if issue has changed state and needs to be moved
-        if (syncTracker && this.outputConfig.auto_reorganize !== false) {
-          await this.handleIssueStateChange(issue, outputDir, syncTracker);
-        }
-        
-        await this.writeIssueFile(issue, filePath);
-        
-        if (syncTracker) {
-          syncTracker.markIssueProcessed(issue, filePath);
-        }
-        
-        processedIssues.push({
-          ...issue,
-          filename,
-          category: state,
-          filePath
-        });
+    for (const issue of issues) {
+      const filePath = this.getItemPath(issue, outputDir, layout, syncTracker);
+      
+      // Move the previous file first, so state changes and renames leave one file per issue
+      if (syncTracker) {
+        await this.relocateTrackedFile(issue, filePath, syncTracker, layout);
+      }
+      
+      ensureDirectoryExists(path.dirname(filePath));
+      await layout.writeFile(issue, filePath);
+      
+      if (syncTracker) {
+        syncTracker.markIssueProcessed(issue, filePath);
       }
+      
+      processedIssues.push({
+        ...issue,
+        filename: path.basename(filePath),
+        category: path.basename(path.dirname(filePath)),
+        filePath
+      });
     }
 
     return processedIssues;
   }
 
-  async writeIssuesFlat(issues, outputDir, syncTracker = null) {
+  async writeIssuesFlat(issues, outputDir, syncTracker = null, layout = this.getIssueLayout()) {
     ensureDirectoryExists(outputDir);
     const processedIssues = [];
 
     for (const issue of issues) {
-      const filename = generateFilename(issue);
-      const filePath = path.join(outputDir, filename);
+      const filePath = this.getItemPath(issue, outputDir, layout, syncTracker);
       
-      await this.writeIssueFile(issue, filePath);
+      if (syncTracker) {
+        await this.relocateTrackedFile(issue, filePath, syncTracker, layout);
+      }
+      
+      await layout.writeFile(issue, filePath);
       
       if (syncTracker) {
         syncTracker.markIssueProcessed(issue, filePath);
@@ -213,7 +339,7 @@ export class FileManager {
       
       processedIssues.push({
         ...issue,
-        filename,
+        filename: path.basename(filePath),
         category: 'all',
         filePath
       });
@@ -222,10 +348,69 @@ export class FileManager {
     return processedIssues;
   }
 
-  async writeIssueFile(issue, filePath) {
+  getFilename(issue) {
+    return generateFilename(issue, this.filenamePattern, this.slugOptions);
+  }
+
+  /**
+   * Where an item's file belongs now. With auto_reorganize disabled, files
+   * keep the folder they were first written to and only follow renames.
+   */
+  getItemPath(issue, outputDir, layout, syncTracker = null) {
+    const filename = this.getFilename(issue);
+    
+    if (!this.outputConfig.group_by_state) {
+      return path.join(outputDir, filename);
+    }
+    
+    const previousPath = syncTracker?.getIssueData(issue.number)?.filePath;
+    if (previousPath && this.outputConfig.auto_reorganize === false) {
+      return path.join(path.dirname(previousPath), filename);
+    }
+    
+    return path.join(outputDir, layout.categorize(issue), filename);
+  }
+
+  /**
+   * Move the file last written for an item to `targetPath` when its folder or
+   * filename changed, and remember the new location. Returns true if moved.
+   */
+  async relocateTrackedFile(issue, targetPath, syncTracker, layout) {
+    const previousPath = syncTracker.getIssueData(issue.number)?.filePath;
+    if (!previousPath || previousPath === targetPath) {
+      return false;
+    }
+    
+    if (!fs.existsSync(previousPath)) {
+      console.log(chalk.yellow(`⚠️ File not found for ${layout.noun} #${issue.number}: ${previousPath}`));
+      return false;
+    }
+    
+    try {
+      ensureDirectoryExists(path.dirname(targetPath));
+      fs.renameSync(previousPath, targetPath);
+      syncTracker.updateFilePath(issue.number, targetPath);
+      
+      const previousFolder = path.basename(path.dirname(previousPath));
+      const currentFolder = path.basename(path.dirname(targetPath));
+      if (previousFolder !== currentFolder) {
+        console.log(chalk.blue(`📁 Moved ${layout.noun} #${issue.number} from ${previousFolder} to ${currentFolder}`));
+      } else {
+        console.log(chalk.blue(`📝 Renamed ${layout.noun} #${issue.number}: ${path.basename(previousPath)} → ${path.basename(targetPath)}`));
+      }
+      
+      await this.cleanupEmptyDirectory(path.dirname(previousPath));
+      return true;
+    } catch (error) {
+      console.warn(chalk.yellow(`⚠️ Failed to move ${layout.noun} #${issue.number}: ${error.message}`));
+      return false;
+    }
+  }
+
+  async writeIssueFile(issue, filePath, context = {}) {
     try {
       // Choose template based on configuration and issue complexity
-      const processedIssue = await this.processIssueData(issue);
+      const processedIssue = await this.processIssueData(issue, { ...context, filePath });
       let templatePath = this.templateConfig.issue;
       
       if (this.useEnhancedTemplate && (
@@ -240,7 +425,7 @@ export class FileManager {
       const template = await this.loadTemplate(templatePath);
       const content = Mustache.render(template, processedIssue);
       
-      safeWriteFile(filePath, content);
+      this.writeRenderedFile(filePath, this.withFrontMatter(content, processedIssue, this.categorizeIssue(issue)));
       
       // Log enhanced issue detection
       if (templatePath === this.enhancedTemplate) {
@@ -252,17 +437,150 @@ export class FileManager {
     }
   }
 
-  async writeIndexFile(issues, outputDir) {
+  /**
+   * Replaces a synced file, carrying over the local-notes regions of the
+   * version on disk.
+   */
+  writeRenderedFile(filePath, content) {
+    const notes = fs.existsSync(filePath) ? extractLocalNotes(fs.readFileSync(filePath, 'utf8')) : [];
+    safeWriteFile(filePath, mergeLocalNotes(content, notes));
+  }
+
+  /**
+   * Numbers of the tracked items of a repository whose files have local notes.
+   */
+  findLocalNotes(repositoryConfig, kind = 'issues') {
+    const syncTracker = new SyncTracker(repositoryConfig, kind);
+    
+    return syncTracker.getTrackedIssueNumbers()
+      .filter(number => {
+        const { filePath } = syncTracker.getIssueData(number);
+        return fs.existsSync(filePath) && hasLocalNotes(fs.readFileSync(filePath, 'utf8'));
+      })
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Prepends the YAML front matter configured under `front_matter`, built
+   * from the same data the template was rendered with.
+   */
+  withFrontMatter(content, processedItem, folder) {
+    if (!this.frontMatterConfig.enabled) {
+      return content;
+    }
+    
+    const frontMatter = buildFrontMatter({ ...processedItem, folder }, this.frontMatterConfig.fields);
+    return `${renderFrontMatter(frontMatter)}${content}`;
+  }
+
+  async writeIndexFile(issues, outputDir, dates = this.getDateFormatter()) {
     try {
       const template = await this.loadTemplate(this.templateConfig.index);
       
       // Process and categorize all issues for index
-      const processedIssues = issues.map(issue => ({
-        ...this.processIssueData(issue),
+      const processedIssues = await Promise.all(issues.map(async issue => ({
+        ...await this.processIssueData(issue, { dates }),
         category: this.categorizeIssue(issue)
-      }));
+      })));
+      
+      const indexData = this.prepareIndexData(processedIssues, dates);
+      const content = Mustache.render(template, indexData);
+      
+      const indexPath = path.join(outputDir, 'index.md');
+      safeWriteFile(indexPath, content);
+      
+      console.log(chalk.green(`✓ Created index file: ${indexPath}`));
+    } catch (error) {
+      console.error(chalk.red(`✗ Failed to create index file: ${error.message}`));
+      throw error;
+    }
+  }
+
+  async writePullRequestFile(pull, filePath, context = {}) {
+    try {
+      const processedPull = await this.processPullRequestData(pull, context);
+      const template = await this.loadTemplate(this.pullRequestTemplate);
+      const content = Mustache.render(template, processedPull);
+      
+      this.writeRenderedFile(filePath, this.withFrontMatter(content, processedPull, this.categorizePullRequest(pull)));
+    } catch (error) {
+      console.error(chalk.red(`✗ Failed to write pull request ${pull.number}: ${error.message}`));
+      throw error;
+    }
+  }
+
+  async writePullRequestIndexFile(pulls, outputDir, dates = this.getDateFormatter()) {
+    try {
+      const template = await this.loadTemplate(this.pullRequestIndexTemplate);
+      const indexData = {
+        ...dates.dateFields('timestamp', getCurrentTimestamp()),
+        total_count: pulls.length
+      };
+      
+      PULL_REQUEST_CATEGORIES.forEach(category => {
+        const categoryPulls = pulls
+          .filter(pull => this.categorizePullRequest(pull) === category)
+          .map(pull => ({
+            ...pull,
+            filename: this.getFilename(pull),
+            ...dates.dateFields('merged_at', pull.merged_at),
+            ...dates.dateFields('closed_at', pull.closed_at)
+          }));
+        
+        indexData[`${category}_pulls`] = categoryPulls;
+        indexData[`${category}_count`] = categoryPulls.length;
+      });
+      
+      const content = Mustache.render(template, indexData);
+      
+      const indexPath = path.join(outputDir, 'index.md');
+      safeWriteFile(indexPath, content);
+      
+      console.log(chalk.green(`✓ Created index file: ${indexPath}`));
+    } catch (error) {
+      console.error(chalk.red(`✗ Failed to create index file: ${error.message}`));
+      throw error;
+    }
+  }
+
+  async writeDiscussionFile(discussion, filePath, context = {}) {
+    try {
+      const processedDiscussion = await this.processDiscussionData(discussion, context);
+      const template = await this.loadTemplate(this.discussionTemplate);
+      const content = Mustache.render(template, processedDiscussion);
+      
+      this.writeRenderedFile(filePath, this.withFrontMatter(content, processedDiscussion, this.categorizeDiscussion(discussion)));
+    } catch (error) {
+      console.error(chalk.red(`✗ Failed to write discussion ${discussion.number}: ${error.message}`));
+      throw error;
+    }
+  }
+
+  async writeDiscussionIndexFile(discussions, outputDir, dates = this.getDateFormatter()) {
+    try {
+      const template = await this.loadTemplate(this.discussionIndexTemplate);
+      const categories = new Map();
+      
+      discussions.forEach(discussion => {
+        const folder = this.categorizeDiscussion(discussion);
+        if (!categories.has(folder)) {
+          categories.set(folder, { name: discussion.category?.name || folder, discussions: [] });
+        }
+        
+        categories.get(folder).discussions.push({
+          ...discussion,
+          path: this.outputConfig.group_by_state ? `./${folder}/${this.getFilename(discussion)}` : `./${this.getFilename(discussion)}`
+        });
+      });
+      
+      const indexData = {
+        ...dates.dateFields('timestamp', getCurrentTimestamp()),
+        total_count: discussions.length,
+        categories: [...categories.values()]
+          .sort((a, b) => a.name.localeCompare(b.name))
+          .map(category => ({ ...category, count: category.discussions.length }))
+      };
       
-      const indexData = this.prepareIndexData(processedIssues);
       const content = Mustache.render(template, indexData);
       
       const indexPath = path.join(outputDir, 'index.md');
@@ -276,20 +594,49 @@ export class FileManager {
   }
 
   categorizeIssue(issue) {
-    if (issue.state === 'closed') {
-      return 'done';
-    } else if (issue.labels && issue.labels.some(label => label.name.toLowerCase().includes('blocked'))) {
-      return 'blocked';
-    } else if (issue.labels && issue.labels.some(label => 
-      label.name.toLowerCase().includes('in progress') || 
-      label.name.toLowerCase().includes('active')
-    )) {
-      return 'active';
+    const projectFolder = this.categorizeByProjectField(issue);
+    if (projectFolder) {
+      return projectFolder;
+    }
+    
+    return this.categorizer.categorize(issue);
+  }
+
+  /**
+   * Folder for the `projects.categorize_by` field, e.g. Status "In Progress"
+   * -> folder_map["In Progress"] or "in-progress". Null for issues that
+   * aren't on the board, which fall back to the label rules.
+   */
+  categorizeByProjectField(issue) {
+    const { enabled, categorize_by: fieldName, folder_map: folderMap = {} } = this.projectsConfig;
+    if (!enabled || !fieldName) {
+      return null;
+    }
+    
+    const value = getProjectFieldValue(issue, fieldName);
+    if (value === null) {
+      return null;
+    }
+    
+    return folderMap[value] || projectFolderName(value);
+  }
+
+  categorizePullRequest(pull) {
+    if (pull.merged_at) {
+      return 'merged';
+    } else if (pull.state === 'closed') {
+      return 'closed';
+    } else if (pull.draft) {
+      return 'draft';
     } else {
-      return 'todo';
+      return 'open';
     }
   }
 
+  categorizeDiscussion(discussion) {
+    return safePathSegment(discussion.category?.slug || 'general', 'general');
+  }
+
   async loadTemplate(templatePath) {
     try {
       const fullPath = path.resolve(PROJECT_ROOT, templatePath);
@@ -305,19 +652,37 @@ export class FileManager {
     }
   }
 
-  async processIssueData(issue) {
+  async processIssueData(issue, context = {}) {
     // Analyze issue for sub-issues and relationships
     const analyzedIssue = this.issueAnalyzer.analyzeIssue(issue);
+    const linkFor = item => this.getIssueLink(item, context);
+    const dates = context.dates || this.getDateFormatter();
     
     // Generate enhanced markdown content
     const taskListMarkdown = this.issueAnalyzer.formatTaskListForMarkdown(analyzedIssue.taskList);
-    const subIssuesMarkdown = this.issueAnalyzer.formatSubIssuesForMarkdown(analyzedIssue.subIssues);
+    const subIssuesMarkdown = this.issueAnalyzer.formatSubIssuesForMarkdown(analyzedIssue.subIssues, linkFor);
+    const parentIssueMarkdown = this.issueAnalyzer.formatParentIssueForMarkdown(analyzedIssue.parentIssue, linkFor);
     const relationshipsMarkdown = this.issueAnalyzer.formatRelationshipsForMarkdown(analyzedIssue.relationships);
     const progressBar = analyzedIssue.progress.total > 0 ? 
       this.issueAnalyzer.generateProgressBar(analyzedIssue.progress.percentage) : '';
 
     // Process comments if available
-    const processedComments = this.processCommentsData(issue.comments || []);
+    const processedComments = this.processCommentsData(issue.comments || [], dates);
+    
+    // Projects (v2) boards the issue is on, with their field values
+    const projects = (issue.project_items || []).map(item => ({
+      ...item.project,
+      fields: Object.entries(item.fields).map(([name, value]) => ({ name, value }))
+    }));
+    // Flat field map for templates; the first project setting a field wins
+    const projectFields = Object.assign({}, ...[...(issue.project_items || [])].reverse().map(item => item.fields));
+    
+    // Chronological history from the timeline, if it was fetched
+    const history = (issue.timeline || []).map(event => ({
+      ...event,
+      ...dates.dateFields('date', event.created_at),
+      text: describeTimelineEvent(event)
+    }));
 
     // Process images if enabled and available
     let imageData = { images: [], analyses: [] };
@@ -327,24 +692,33 @@ export class FileManager {
 
     return {
       ...analyzedIssue,
-      created_at: formatDate(issue.created_at),
-      updated_at: formatDate(issue.updated_at),
-      closed_at: issue.closed_at ? formatDate(issue.closed_at) : null,
+      ...dates.dateFields('created_at', issue.created_at),
+      ...dates.dateFields('updated_at', issue.updated_at),
+      ...dates.dateFields('closed_at', issue.closed_at),
       body: issue.body || 'No description provided.',
       labels: issue.labels || [],
       assignees: issue.assignees || [],
       milestone: issue.milestone || null,
-      filename: generateFilename(issue),
+      filename: this.getFilename(issue),
+      repository_html_url: this.issueAnalyzer.getRepositoryUrl(issue),
       
       // Enhanced data for templates
       taskListMarkdown,
       subIssuesMarkdown,
+      parentIssueMarkdown,
       relationshipsMarkdown,
       progressBar,
       
       // Comments data
       comments: processedComments,
       
+      // Project data
+      projects,
+      project_fields: projectFields,
+      
+      // Timeline data
+      history,
+      
       // Image data
       imageData,
       
@@ -353,12 +727,115 @@ export class FileManager {
     };
   }
 
-  processCommentsData(comments) {
+  /**
+   * Relative link to the local file of an issue in the same repository,
+   * falling back to its GitHub URL when it isn't synced.
+   */
+  getIssueLink(item, context = {}) {
+    const { filePath, issuePaths } = context;
+    const localPath = item.sameRepository && issuePaths?.get(item.issueNumber);
+    
+    if (!filePath || !localPath) {
+      return item.url;
+    }
+    
+    return path.relative(path.dirname(filePath), localPath).split(path.sep).join('/');
+  }
+
+  async processPullRequestData(pull, context = {}) {
+    const processedPull = await this.processIssueData(pull, context);
+    const dates = context.dates || this.getDateFormatter();
+    const reviews = (pull.reviews || []).filter(review => review.state !== 'PENDING');
+    
+    // Latest decision per reviewer; plain comments only count while there is no decision
+    const reviewers = new Map();
+    reviews.forEach(review => {
+      const login = review.user?.login || 'Unknown';
+      if (review.state !== 'COMMENTED' || !reviewers.has(login)) {
+        reviewers.set(login, REVIEW_STATES[review.state] || review.state.toLowerCase());
+      }
+    });
+    (pull.requested_reviewers || []).forEach(reviewer => reviewers.set(reviewer.login, 'review requested'));
+    (pull.requested_teams || []).forEach(team => reviewers.set(team.slug, 'review requested'));
+    
+    // Issues closed by this pull request, one entry per issue
+    const linkedIssues = [...new Map(
+      processedPull.relationships.closes.map(link => [link.url, link])
+    ).values()];
+    
+    return {
+      ...processedPull,
+      merge_status: this.categorizePullRequest(pull),
+      mergeable_state: pull.merged_at ? null : (pull.mergeable_state || null),
+      ...dates.dateFields('merged_at', pull.merged_at),
+      merged_by: pull.merged_by || null,
+      changes: pull.changed_files !== undefined ? {
+        commits: pull.commits,
+        changed_files: pull.changed_files,
+        additions: pull.additions,
+        deletions: pull.deletions
+      } : null,
+      reviewers: [...reviewers.entries()].map(([login, state]) => ({ login, state })),
+      reviews: reviews
+        .filter(review => review.body)
+        .map(review => ({
+          user: { login: review.user?.login || 'Unknown' },
+          state: REVIEW_STATES[review.state] || review.state.toLowerCase(),
+          body: review.body,
+          ...dates.dateFields('submitted_at', review.submitted_at),
+          html_url: review.html_url || null
+        })),
+      review_comments: (pull.review_comments || []).map(comment => ({
+        user: { login: comment.user?.login || 'Unknown' },
+        path: comment.path,
+        line: comment.line || comment.original_line || null,
+        diff_hunk: comment.diff_hunk || '',
+        body: comment.body || '',
+        ...dates.dateFields('created_at', comment.created_at),
+        html_url: comment.html_url || null
+      })),
+      linked_issues: linkedIssues
+    };
+  }
+
+  async processDiscussionData(discussion, context = {}) {
+    const processedDiscussion = await this.processIssueData(discussion, context);
+    const dates = context.dates || this.getDateFormatter();
+    
+    const processThread = comments => {
+      const processedComments = this.processCommentsData(comments, dates);
+      return processedComments.map((processedComment, index) => {
+        const comment = comments[index];
+        const replies = comment.replies || [];
+        
+        return {
+          ...processedComment,
+          upvote_count: comment.upvote_count || 0,
+          is_answer: comment.is_answer || false,
+          replies: comment.replies ? processThread(replies) : [],
+          more_replies: Math.max((comment.replies_total_count || 0) - replies.length, 0)
+        };
+      });
+    };
+    
+    const comments = processThread(discussion.comments || []);
+    
+    return {
+      ...processedDiscussion,
+      comments,
+      answer: comments.find(comment => comment.is_answer) || null,
+      ...dates.dateFields('answer_chosen_at', discussion.answer_chosen_at)
+    };
+  }
+
+  processCommentsData(comments, dates = this.getDateFormatter()) {
     if (!Array.isArray(comments) || comments.length === 0) {
       return [];
     }
 
     const commentsConfig = this.config.getCommentsConfig();
+    // comments.timestamp_format takes precedence over dates.date_format
+    const timestampFormat = commentsConfig?.timestamp_format || dates.format;
     
     return comments.map(comment => ({
       id: comment.id,
@@ -368,56 +845,67 @@ export class FileManager {
         html_url: comment.user?.html_url || null
       },
       body: comment.body || '',
-      created_at: formatDate(comment.created_at),
-      updated_at: formatDate(comment.updated_at),
+      ...dates.dateFields('created_at', comment.created_at, timestampFormat),
+      ...dates.dateFields('updated_at', comment.updated_at, timestampFormat),
       updated_at_formatted: comment.created_at !== comment.updated_at ? 
-        formatDate(comment.updated_at) : null,
+        dates.formatDate(comment.updated_at, timestampFormat) : null,
       html_url: comment.html_url || null,
       // Add metadata flag for enhanced display
       include_metadata: commentsConfig?.include_metadata !== false
     }));
   }
 
-  prepareIndexData(processedIssues) {
-    const categories = {
-      active: [],
-      todo: [],
-      done: [],
-      blocked: []
-    };
-
-    processedIssues.forEach(issue => {
-      if (categories[issue.category]) {
-        categories[issue.category].push(issue);
-      }
-    });
-
-    return {
-      timestamp: getCurrentTimestamp(),
+  prepareIndexData(processedIssues, dates = this.getDateFormatter()) {
+    // Configured folders first, then folders only project fields produce
+    const folders = [...new Set([
+      ...this.categorizer.getFolders(),
+      ...processedIssues.map(issue => issue.category).sort()
+    ])];
+    
+    const indexData = {
+      ...dates.dateFields('timestamp', getCurrentTimestamp()),
       total_count: processedIssues.length,
-      active_issues: categories.active.map(issue => this.processIssueData(issue)),
-      active_count: categories.active.length,
-      todo_issues: categories.todo.map(issue => this.processIssueData(issue)),
-      todo_count: categories.todo.length,
-      done_issues: categories.done.map(issue => this.processIssueData(issue)),
-      done_count: categories.done.length,
-      blocked_issues: categories.blocked.map(issue => this.processIssueData(issue)),
-      blocked_count: categories.blocked.length
+      categories: []
     };
+    
+    for (const folder of folders) {
+      const folderIssues = processedIssues
+        .filter(issue => issue.category === folder)
+        .map(issue => ({
+          ...issue,
+          path: this.outputConfig.group_by_state ? `./${folder}/${issue.filename}` : `./${issue.filename}`
+        }));
+      
+      indexData.categories.push({
+        folder,
+        name: this.categorizer.getFolderName(folder),
+        issues: folderIssues,
+        count: folderIssues.length
+      });
+      
+      // Flat keys (active_issues, active_count...) for custom templates
+      indexData[`${folder}_issues`] = folderIssues;
+      indexData[`${folder}_count`] = folderIssues.length;
+    }
+    
+    return indexData;
   }
 
-  cleanOutputDirectory(outputDir) {
+  cleanOutputDirectory(outputDir, layout = this.getIssueLayout()) {
     try {
       console.log(chalk.yellow(`Cleaning output directory: ${outputDir}`));
       
-      if (this.outputConfig.group_by_state) {
-        const stateDirectories = ['active', 'todo', 'done', 'blocked'];
-        stateDirectories.forEach(state => {
+      if (this.outputConfig.group_by_state && layout.categories) {
+        layout.categories.forEach(state => {
           const stateDir = path.join(outputDir, state);
           cleanDirectory(stateDir);
         });
       } else {
-        cleanDirectory(outputDir);
+        // Pull requests and discussions synced next to issues live in subdirectories of the same output_dir
+        cleanDirectory(outputDir, [
+          this.config.getPullRequestsConfig().directory,
+          this.config.getDiscussionsConfig().directory
+        ]);
       }
       
       console.log(chalk.green('✓ Cleaned output directory'));
@@ -442,57 +930,6 @@ export class FileManager {
     }
   }
 
-  async handleIssueStateChange(issue, outputDir, syncTracker) {
-    try {
-      const currentState = this.categorizeIssue(issue);
-      const filename = generateFilename(issue);
-      const currentPath = path.join(outputDir, currentState, filename);
-      
-      // Get previous state from sync tracker
-      const previousIssueData = syncTracker.getIssueData(issue.number);
-      if (!previousIssueData || !previousIssueData.filePath) {
-        return; // New issue or no previous file path, no need to move
-      }
-      
-      const previousState = this.categorizeIssueFromPath(previousIssueData.filePath);
-      
-      if (previousState && previousState !== currentState) {
-        const previousPath = previousIssueData.filePath;
-        
-        // Move file from previous state directory to current state directory
-        if (fs.existsSync(previousPath)) {
-          // Ensure target directory exists
-          const targetDir = path.join(outputDir, currentState);
-          ensureDirectoryExists(targetDir);
-          
-          // Move the file
-          fs.renameSync(previousPath, currentPath);
-          console.log(chalk.blue(`📁 Moved issue #${issue.number} from ${previousState} to ${currentState}`));
-          
-          // Clean up empty directories if needed
-          await this.cleanupEmptyDirectory(path.dirname(previousPath));
-        }
-      }
-    } catch (error) {
-      console.warn(chalk.yellow(`⚠️ Failed to handle state change for issue #${issue.number}: ${error.message}`));
-    }
-  }
-
-  categorizeIssueFromPath(filePath) {
-    const pathParts = filePath.split(path.sep);
-    const stateFolder = pathParts[pathParts.length - 2]; // Get parent directory name
-    
-    // Map folder names to state categories
-    const folderToState = {
-      'todo': 'todo',
-      'active': 'active', 
-      'done': 'done',
-      'blocked': 'blocked'
-    };
-    
-    return folderToState[stateFolder] || null;
-  }
-
   async cleanupEmptyDirectory(dirPath) {
     try {
       if (fs.existsSync(dirPath)) {
@@ -517,14 +954,23 @@ export class FileManager {
         return 0;
       }
       
+      const syncTracker = new SyncTracker(repositoryConfig);
+      const layout = this.getIssueLayout();
+      const filenameMatcher = createFilenameMatcher(this.filenamePattern);
+      const trackedPaths = new Map([
+        ...syncTracker.getTrackedIssueNumbers().map(issueNumber => [syncTracker.getIssueData(issueNumber).filePath, issueNumber]),
+        // Files of deleted issues kept for their local notes
+        ...syncTracker.getKeptFiles().map(kept => [kept.filePath, kept.number])
+      ]);
+      
       // Create issue map for quick lookup
       const issueMap = new Map();
       issues.forEach(issue => {
         issueMap.set(issue.number, issue);
       });
       
-      // Scan all state directories for existing files
-      const stateDirectories = ['active', 'todo', 'done', 'blocked'];
+      // Scan every folder on disk, including ones left behind by older rules
+      const stateDirectories = this.listCategoryDirectories(outputDir);
       
       for (const currentStateDir of stateDirectories) {
         const stateDirPath = path.join(outputDir, currentStateDir);
@@ -535,11 +981,12 @@ export class FileManager {
         
         for (const filename of files) {
           try {
-            // Extract issue number from filename (e.g., "2-issue.md" -> 2)
-            const issueNumberMatch = filename.match(/^(\d+)-/);
-            if (!issueNumberMatch) continue;
+            // Tracked files are known by path, others by the filename pattern
+            const issueNumberMatch = filename.match(filenameMatcher);
+            const issueNumber = trackedPaths.get(path.join(stateDirPath, filename)) ||
+              (issueNumberMatch && parseInt(issueNumberMatch[1]));
+            if (!issueNumber) continue;
             
-            const issueNumber = parseInt(issueNumberMatch[1]);
             const issue = issueMap.get(issueNumber);
             
             if (!issue) {
@@ -547,22 +994,26 @@ export class FileManager {
               continue;
             }
             
-            const expectedState = this.categorizeIssue(issue);
+            const currentPath = path.join(stateDirPath, filename);
+            const targetPath = this.getItemPath(issue, outputDir, layout);
+            const targetName = path.relative(outputDir, targetPath);
             
-            if (currentStateDir !== expectedState) {
-              const currentPath = path.join(stateDirPath, filename);
-              const targetDir = path.join(outputDir, expectedState);
-              const targetPath = path.join(targetDir, filename);
+            if (currentPath !== targetPath) {
+              if (fs.existsSync(targetPath)) {
+                console.log(chalk.yellow(`⚠️ Skipping ${filename} in ${currentStateDir}: ${targetName} already exists`));
+                continue;
+              }
               
               if (dryRun) {
-                console.log(chalk.blue(`📁 Would move: ${filename} from ${currentStateDir} to ${expectedState}`));
+                console.log(chalk.blue(`📁 Would move: ${filename} from ${currentStateDir} to ${targetName}`));
               } else {
-                // Ensure target directory exists
-                ensureDirectoryExists(targetDir);
-                
-                // Move the file
+                ensureDirectoryExists(path.dirname(targetPath));
                 fs.renameSync(currentPath, targetPath);
-                console.log(chalk.blue(`📁 Moved: ${filename} from ${currentStateDir} to ${expectedState}`));
+                
+                if (syncTracker.getIssueData(issueNumber)?.filePath === currentPath) {
+                  syncTracker.updateFilePath(issueNumber, targetPath);
+                }
+                console.log(chalk.blue(`📁 Moved: ${filename} from ${currentStateDir} to ${targetName}`));
               }
               
               movedCount++;
@@ -578,6 +1029,11 @@ export class FileManager {
         }
       }
       
+      // Keep the recorded paths in step, otherwise the next sync can't find the moved files
+      if (!dryRun && movedCount > 0) {
+        syncTracker.saveSyncData();
+      }
+      
       return movedCount;
     } catch (error) {
       console.error(chalk.red(`✗ Failed to reorganize files: ${error.message}`));
@@ -585,16 +1041,32 @@ export class FileManager {
     }
   }
 
-  getOutputDirectoryStats(outputDir) {
+  listCategoryDirectories(outputDir) {
+    if (!fs.existsSync(outputDir)) {
+      return [];
+    }
+    
+    // Pull requests and discussions synced next to issues aren't categories
+    const contentDirectories = [
+      this.config.getPullRequestsConfig().directory,
+      this.config.getDiscussionsConfig().directory
+    ];
+    
+    return fs.readdirSync(outputDir).filter(entry =>
+      !contentDirectories.includes(entry) && fs.statSync(path.join(outputDir, entry)).isDirectory()
+    );
+  }
+
+  getOutputDirectoryStats(outputDir, categories = this.getIssueCategories()) {
     try {
+      // Discussion and project field folders are whatever exists on disk
+      if (!categories) {
+        categories = this.listCategoryDirectories(outputDir);
+      }
+      
       const stats = {
         total_files: 0,
-        by_state: {
-          active: 0,
-          todo: 0,
-          done: 0,
-          blocked: 0
-        }
+        by_state: Object.fromEntries(categories.map(category => [category, 0]))
       };
 
       if (this.outputConfig.group_by_state) {
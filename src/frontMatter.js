@@ -0,0 +1,76 @@
+// YAML front matter for synced files.
+// Each front-matter key is read from the processed template data through a
+// dot path; paths through lists collect the value of every entry.
+
+import YAML from 'yaml';
+
+// Front-matter key -> path into processIssueData's result
+export const DEFAULT_FRONT_MATTER_FIELDS = {
+  number: 'number',
+  title: 'title',
+  state: 'state',
+  state_reason: 'state_reason',
+  labels: 'labels.name',
+  assignees: 'assignees.login',
+  milestone: 'milestone.title',
+  author: 'user.login',
+  created: 'created_at_iso',
+  updated: 'updated_at_iso',
+  closed: 'closed_at_iso',
+  url: 'html_url',
+  category: 'folder',
+  progress: 'progress.percentage',
+  complexity: 'metadata.complexity'
+};
+
+/**
+ * Value at a dot path such as "milestone.title" or "labels.name" (one value
+ * per label). Numeric segments index into lists: "assignees.0.login".
+ */
+export function resolveField(data, fieldPath) {
+  let values = [data];
+  let isList = false;
+
+  for (const key of fieldPath.split('.')) {
+    const next = [];
+    for (const value of values) {
+      if (Array.isArray(value) && !/^\d+$/.test(key)) {
+        isList = true;
+        next.push(...value.map(item => item?.[key]));
+      } else {
+        next.push(value?.[key]);
+      }
+    }
+    values = next;
+  }
+
+  if (isList) {
+    return values.flat().filter(value => value !== undefined && value !== null);
+  }
+  return values[0];
+}
+
+/**
+ * Front-matter object for one file. Fields whose path resolves to nothing
+ * are left out.
+ */
+export function buildFrontMatter(data, fields = DEFAULT_FRONT_MATTER_FIELDS) {
+  const frontMatter = {};
+
+  for (const [key, fieldPath] of Object.entries(fields)) {
+    if (!fieldPath) {
+      continue;
+    }
+
+    const value = resolveField(data, fieldPath);
+    if (value !== undefined) {
+      frontMatter[key] = value;
+    }
+  }
+
+  return frontMatter;
+}
+
+export function renderFrontMatter(frontMatter) {
+  return `---\n${YAML.stringify(frontMatter)}---\n\n`;
+}
@@ -1,27 +1,126 @@
 import { Octokit } from '@octokit/rest';
 import chalk from 'chalk';
-import { CacheManager } from './cache.js';
+import { CacheManager, CONDITIONAL_KEY_PREFIX } from './cache.js';
 import { ErrorHandler } from './errorHandler.js';
+import { RateLimitScheduler } from './rateLimiter.js';
+import { TaskPool } from './taskPool.js';
+import { issueMatchesFilters } from './utils.js';
+import { normalizeTimeline } from './timeline.js';
+import {
+  ISSUES_QUERY,
+  ISSUE_COMMENTS_QUERY,
+  DISCUSSIONS_QUERY,
+  DISCUSSION_COMMENTS_QUERY,
+  buildIssuesVariables,
+  normalizeIssue,
+  normalizeComment,
+  normalizeDiscussion,
+  normalizeDiscussionComment,
+  buildProjectItemsQuery,
+  normalizeProjectItem
+} from './graphql.js';
+
+// GitHub search only ever returns the first 1000 results of a query
+const SEARCH_RESULT_CAP = 1000;
+// Lower bound for created-date windows (GitHub launch)
+const SEARCH_WINDOW_START = '2008-01-01T00:00:00Z';
+// Windows narrower than this are not split any further
+const MIN_SEARCH_WINDOW_MS = 60 * 1000;
+// Issues per GraphQL page; each one carries up to 100 comments
+const GRAPHQL_PAGE_SIZE = 25;
+// Discussions carry threaded replies, so pages are kept smaller
+const DISCUSSIONS_PAGE_SIZE = 10;
+const DISCUSSION_REPLIES_LIMIT = 50;
+// Issues looked up per Projects (v2) query, one alias each
+const PROJECT_ITEMS_BATCH_SIZE = 50;
+// The pulls API has no sort by comment count
+const PULL_REQUEST_SORT = {
+  created: 'created',
+  updated: 'updated',
+  comments: 'popularity'
+};
+
+// Compact reference to a related issue, which may live in another repository
+function toIssueReference(issue) {
+  const repository = issue.repository_url?.match(/\/repos\/([^/]+\/[^/]+)$/);
+  return {
+    number: issue.number,
+    title: issue.title,
+    state: issue.state,
+    html_url: issue.html_url,
+    repository: repository ? repository[1] : null
+  };
+}
+
+// A list cut short (max_issues, the search result cap) can't show which items
+// are gone, so it says so; such lists are not cached either
+function markTruncated(items, truncated) {
+  if (truncated) {
+    items.truncated = true;
+  }
+  return items;
+}
 
 export class GitHubClient {
   constructor(token, options = {}) {
-    if (!token) {
+    // Replayed responses need no credentials
+    this.recorder = options.recorder || null;
+    
+    if (!token && !options.appAuth && !this.recorder?.replaying) {
       throw new Error('GitHub token is required');
     }
     
+    this.token = token;
+    this.baseUrl = options.baseUrl || 'https://api.github.com';
+    this.webUrl = options.webUrl || 'https://github.com';
+    
+    // GitHub App installations are per owner, so app clients are bound to one.
+    // Replayed app clients have an app id but no appAuth: they send the same
+    // requests without reading the key or minting tokens.
+    this.appAuth = options.appAuth || null;
+    this.appId = options.appId || this.appAuth?.appId || null;
+    this.owner = options.owner || null;
+    
     this.octokit = new Octokit({
-      auth: token,
+      auth: this.appAuth ? undefined : token,
+      baseUrl: this.baseUrl,
       userAgent: 'github-issues-sync/0.1.0',
     });
     
+    if (this.appAuth) {
+      this.octokit.hook.before('request', async (requestOptions) => {
+        requestOptions.headers.authorization = `token ${await this.appAuth.getToken(this.owner)}`;
+      });
+    }
+    
+    // Every REST and GraphQL request goes through the scheduler, which may be
+    // shared with other clients using the same credentials
+    this.rateLimiter = options.rateLimiter || new RateLimitScheduler({ minDelay: options.rateLimitDelay });
+    // Bounds concurrent per-item work (comments, images) across repositories
+    this.taskPool = options.taskPool || new TaskPool(options.concurrentRequests);
+    this.octokit.hook.wrap('request', (request, requestOptions) => {
+      const { endpoint } = this.octokit.request;
+      if (this.recorder?.replaying) {
+        return this.recorder.replay(endpoint, requestOptions);
+      }
+      
+      const send = this.recorder
+        ? () => this.recorder.record(endpoint, requestOptions, () => request(requestOptions))
+        : () => request(requestOptions);
+      return this.rateLimiter.schedule(requestOptions, send);
+    });
+    
     this.cache = new CacheManager({
       defaultTTL: options.cacheTTL || 5 * 60 * 1000, // 5 minutes
-      maxCacheSize: options.maxCacheSize || 100
+      maxCacheSize: options.maxCacheSize || 100,
+      // Keep responses from different GitHub hosts apart
+      namespace: this.baseUrl === 'https://api.github.com' ? '' : this.baseUrl
     });
     
     this.useCache = options.useCache !== false;
-    this.rateLimitDelay = options.rateLimitDelay || 100;
-    this.lastRequestTime = 0;
+    this.useConditionalRequests = options.conditionalRequests !== false;
+    this.notModifiedCount = 0;
+    this.maxIssues = options.maxIssues || null;
     
     this.errorHandler = new ErrorHandler({
       logLevel: options.logLevel || 'info',
@@ -32,11 +131,20 @@ export class GitHubClient {
 
   async testConnection() {
     try {
+      const host = new URL(this.webUrl).host;
+      
+      // Installation tokens can't read /user, a rate limit request exercises the token exchange
+      if (this.appId) {
+        await this.octokit.rest.rateLimit.get();
+        console.log(chalk.green(`✓ Connected to ${host} as GitHub App ${this.appId} (${this.owner})`));
+        return true;
+      }
+      
       const { data } = await this.octokit.rest.users.getAuthenticated();
-      console.log(chalk.green(`✓ Connected to GitHub as ${data.login}`));
+      console.log(chalk.green(`✓ Connected to ${host} as ${data.login}`));
       return true;
     } catch (error) {
-      console.error(chalk.red(`✗ Failed to connect to GitHub: ${error.message}`));
+      console.error(chalk.red(`✗ Failed to connect to ${this.webUrl}: ${error.message}`));
       return false;
     }
   }
@@ -62,7 +170,7 @@ export class GitHubClient {
       console.log(chalk.blue(`Fetching issues from ${owner}/${repo}...`));
       
       // Check cache first
-      const cacheKey = await this.cache.generateCacheKey('issues', { owner, repo, options });
+      const cacheKey = await this.listCacheKey('issues', { owner, repo }, { options });
       if (this.useCache) {
         const cachedIssues = this.cache.get(cacheKey);
         if (cachedIssues) {
@@ -71,12 +179,10 @@ export class GitHubClient {
         }
       }
       
-      await this.respectRateLimit();
-      
       let issues;
       
       // Use search API for complex queries
-      if (query || since || until || creator || mentioned || exclude_labels.length > 0) {
+      if (query || until || creator || mentioned || exclude_labels.length > 0) {
         issues = await this.searchIssues(owner, repo, options);
       } else {
         // Use standard issues API for simple queries
@@ -97,18 +203,25 @@ export class GitHubClient {
           params.assignee = assignee;
         }
 
+        if (since) {
+          params.since = new Date(since).toISOString();
+        }
+
         console.log(chalk.gray(`API params: ${JSON.stringify(params)}`));
-        const response = await this.octokit.rest.issues.listForRepo(params);
         
         // Filter out pull requests (GitHub API returns both issues and PRs)
-        issues = response.data.filter(issue => !issue.pull_request);
+        const { items, truncated } = await this.paginate(this.octokit.rest.issues.listForRepo, params, {
+          filter: issue => !issue.pull_request,
+          maxItems: this.maxIssues,
+          cacheScope: 'issues.listForRepo'
+        });
         
         // Apply client-side filtering for options not supported by API
-        issues = this.applyClientSideFilters(issues, options);
+        issues = markTruncated(this.applyClientSideFilters(items, options), truncated);
       }
       
       // Cache the results
-      if (this.useCache) {
+      if (this.useCache && !issues.truncated) {
         this.cache.set(cacheKey, issues);
       }
       
@@ -125,16 +238,253 @@ export class GitHubClient {
     }
   }
 
-  async respectRateLimit() {
-    const now = Date.now();
-    const timeSinceLastRequest = now - this.lastRequestTime;
+  canUseGraphQL(options = {}) {
+    // Custom search queries only exist in the search API
+    return !options.query;
+  }
+
+  /**
+   * Fetch issues together with labels, assignees, milestones and comments
+   * through batched GraphQL queries. Pass `commentsOptions` as null to skip comments.
+   */
+  async getIssuesWithComments(owner, repo, options = {}, commentsOptions = null) {
+    try {
+      console.log(chalk.blue(`Fetching issues from ${owner}/${repo} via GraphQL...`));
+      
+      // Check cache first
+      const cacheKey = await this.listCacheKey('graphql_issues', { owner, repo }, { options, commentsOptions });
+      if (this.useCache) {
+        const cachedIssues = this.cache.get(cacheKey);
+        if (cachedIssues) {
+          console.log(chalk.gray(`✓ Found ${cachedIssues.length} issues (cached)`));
+          return cachedIssues;
+        }
+      }
+      
+      const variables = {
+        ...buildIssuesVariables(owner, repo, options),
+        first: GRAPHQL_PAGE_SIZE,
+        withComments: !!commentsOptions,
+        commentsFirst: commentsOptions ? Math.min(commentsOptions.limit || 100, 100) : 1
+      };
+      
+      let issues = [];
+      let after = null;
+      let truncated = false;
+      
+      do {
+        const data = await this.octokit.graphql(ISSUES_QUERY, { ...variables, after });
+        const connection = data.repository.issues;
+        
+        for (const node of connection.nodes) {
+          const issue = normalizeIssue(node);
+          issue.comments = commentsOptions
+            ? await this.collectGraphQLComments(node, commentsOptions)
+            : [];
+          issues.push(issue);
+        }
+        
+        after = connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null;
+        
+        if (this.maxIssues && issues.length >= this.maxIssues) {
+          truncated = issues.length > this.maxIssues || !!after;
+          if (truncated) {
+            console.warn(chalk.yellow(`⚠️ Stopped after ${this.maxIssues} items (max_issues limit)`));
+          }
+          issues = issues.slice(0, this.maxIssues);
+          break;
+        }
+      } while (after);
+      
+      // Apply client-side filtering for options not supported by GraphQL
+      issues = markTruncated(this.applyClientSideFilters(issues, options), truncated);
+      
+      // Cache the results
+      if (this.useCache && !issues.truncated) {
+        this.cache.set(cacheKey, issues);
+      }
+      
+      const totalComments = issues.reduce((sum, issue) => sum + issue.comments.length, 0);
+      console.log(chalk.green(`✓ Found ${issues.length} issues with ${totalComments} comments`));
+      return issues;
+    } catch (error) {
+      const context = { operation: 'getIssuesWithComments', owner, repo, options };
+      
+      if (this.errorHandler.isRetryableError(error)) {
+        throw error;
+      } else {
+        await this.errorHandler.handleApiError(error, context);
+      }
+    }
+  }
+
+  async collectGraphQLComments(issueNode, commentsOptions) {
+    const {
+      limit = 50,
+      sort = 'created',
+      direction = 'asc',
+      since = null
+    } = commentsOptions;
+    
+    const connection = issueNode.comments;
+    let comments = connection.nodes.map(normalizeComment);
+    let { hasNextPage, endCursor } = connection.pageInfo;
+    
+    // Newest-first or date-filtered output needs every comment before limiting
+    const needsAll = direction === 'desc' || since;
+    
+    while (hasNextPage && (needsAll || !limit || comments.length < limit)) {
+      const data = await this.octokit.graphql(ISSUE_COMMENTS_QUERY, {
+        id: issueNode.id,
+        first: 100,
+        after: endCursor
+      });
+      const page = data.node.comments;
+      comments.push(...page.nodes.map(normalizeComment));
+      ({ hasNextPage, endCursor } = page.pageInfo);
+    }
+    
+    if (since) {
+      const sinceTime = new Date(since).getTime();
+      comments = comments.filter(comment => new Date(comment.updated_at).getTime() >= sinceTime);
+    }
+    
+    const field = sort === 'updated' ? 'updated_at' : 'created_at';
+    comments.sort((a, b) => new Date(a[field]) - new Date(b[field]));
+    if (direction === 'desc') {
+      comments.reverse();
+    }
+    
+    return limit ? comments.slice(0, limit) : comments;
+  }
+
+  /**
+   * Walk every page of a list endpoint.
+   * `itemsKey` selects the array for search-style responses ({ total_count, items }),
+   * `filter` drops items before they count against `maxItems`.
+   */
+  async paginate(method, params, options = {}) {
+    const {
+      itemsKey = null,
+      filter = null,
+      maxItems = null,
+      firstResponse = null,
+      cacheScope = null
+    } = options;
+    const perPage = params.per_page || 100;
+    const items = [];
+    let page = 1;
+    let totalCount = null;
+    let truncated = false;
+
+    for (;;) {
+      let response = page === 1 ? firstResponse : null;
+      if (!response) {
+        response = cacheScope
+          ? await this.conditionalRequest(cacheScope, method, { ...params, per_page: perPage, page })
+          : await method({ ...params, per_page: perPage, page });
+      }
+
+      const pageItems = itemsKey ? response.data[itemsKey] : response.data;
+      if (itemsKey && totalCount === null) {
+        totalCount = response.data.total_count;
+      }
+
+      items.push(...(filter ? pageItems.filter(filter) : pageItems));
+
+      const hasNextPage = pageItems.length === perPage && this.hasNextPage(response);
+
+      if (maxItems && items.length >= maxItems) {
+        truncated = items.length > maxItems || hasNextPage;
+        items.length = maxItems;
+        break;
+      }
+
+      if (!hasNextPage) {
+        break;
+      }
+
+      page++;
+    }
+
+    if (truncated) {
+      console.warn(chalk.yellow(`⚠️ Stopped after ${maxItems} items (max_issues limit)`));
+    }
+
+    return { items, totalCount, truncated };
+  }
+
+  /**
+   * Cache key for a list request: a prefix for the repository or issue it
+   * reads, then a hash of the request options, so that all entries of one
+   * resource can be dropped together whatever options they were fetched with.
+   */
+  async listCacheKey(kind, resource, options) {
+    return await this.cache.generateCacheKey(await this.cache.generateCacheKey(kind, resource), options);
+  }
+
+  /**
+   * Drop cached issue lists of a repository after a write, and the comments
+   * of `issueNumber` if given.
+   */
+  async invalidateIssueCache(owner, repo, issueNumber = null) {
+    const resources = [['issues', { owner, repo }], ['graphql_issues', { owner, repo }]];
+    if (issueNumber !== null) {
+      resources.push(['comments', { owner, repo, issueNumber }]);
+    }
     
-    if (timeSinceLastRequest < this.rateLimitDelay) {
-      const waitTime = this.rateLimitDelay - timeSinceLastRequest;
-      await new Promise(resolve => setTimeout(resolve, waitTime));
+    for (const [kind, resource] of resources) {
+      this.cache.deleteByPrefix(`${await this.cache.generateCacheKey(kind, resource)}_`);
     }
+  }
+
+  /**
+   * Send a REST request with If-None-Match / If-Modified-Since taken from the
+   * last response for the same parameters. A 304 answer renews the cached
+   * response instead of downloading it again, and GitHub does not count it
+   * against the rate limit.
+   */
+  async conditionalRequest(scope, method, params) {
+    if (!this.useCache || !this.useConditionalRequests) {
+      return await method(params);
+    }
+    
+    const cacheKey = await this.cache.generateCacheKey(`${CONDITIONAL_KEY_PREFIX}${scope}`, params);
+    const cachedEntry = this.cache.getEntry(cacheKey);
     
-    this.lastRequestTime = Date.now();
+    const headers = {};
+    if (cachedEntry?.etag) {
+      headers['if-none-match'] = cachedEntry.etag;
+    } else if (cachedEntry?.lastModified) {
+      headers['if-modified-since'] = cachedEntry.lastModified;
+    }
+    
+    try {
+      const response = await method({ ...params, headers });
+      const etag = response.headers?.etag;
+      const lastModified = response.headers?.['last-modified'];
+      
+      if (etag || lastModified) {
+        this.cache.set(cacheKey, {
+          data: response.data,
+          headers: { link: response.headers.link || null }
+        }, this.cache.defaultTTL, { etag, lastModified });
+      }
+      
+      return response;
+    } catch (error) {
+      if (error.status === 304 && cachedEntry) {
+        this.cache.renew(cacheKey);
+        this.notModifiedCount++;
+        return { status: 304, data: cachedEntry.data.data, headers: cachedEntry.data.headers };
+      }
+      throw error;
+    }
+  }
+
+  hasNextPage(response) {
+    const link = response.headers?.link;
+    return typeof link === 'string' && link.includes('rel="next"');
   }
 
   async searchIssues(owner, repo, options) {
@@ -206,17 +556,18 @@ export class GitHubClient {
       
       console.log(chalk.gray(`Search query: ${searchQuery}`));
       
-      await this.respectRateLimit();
+      const searchParams = { sort, order: direction, per_page };
       
-      const response = await this.octokit.rest.search.issuesAndPullRequests({
-        q: searchQuery,
-        sort,
-        order: direction,
-        per_page
-      });
+      // A custom query that already constrains creation dates can't be windowed.
+      // The first window is open on both ends, so the query sent doesn't depend
+      // on the clock (and a recorded sync replays) unless it has to be split.
+      const canSplit = !/\bcreated:/.test(searchQuery);
+      const window = canSplit ? { from: null, to: null } : null;
       
-      // Filter out pull requests
-      const issues = response.data.items.filter(item => !item.pull_request);
+      const { items, truncated } = await this.searchInWindows(searchQuery, searchParams, window, new Map());
+      
+      // Windows are fetched one after another, so restore the requested order
+      const issues = markTruncated(this.sortIssues(items, sort, direction), truncated);
       
       console.log(chalk.green(`✓ Found ${issues.length} issues via search`));
       return issues;
@@ -226,6 +577,84 @@ export class GitHubClient {
     }
   }
 
+  /**
+   * Run a search query, splitting it into created-date windows whenever a
+   * window matches more than the 1000 results GitHub search will return.
+   * A window without `from` or `to` is open on that end. `seen` dedupes
+   * issues that land on a window boundary. `truncated` is set when results
+   * were left out (max_issues or a window that can't be split any further).
+   */
+  async searchInWindows(searchQuery, searchParams, window, seen) {
+    const q = window ? `${searchQuery}${this.formatSearchWindow(window)}` : searchQuery;
+    
+    const firstResponse = await this.conditionalRequest('search.issuesAndPullRequests', this.octokit.rest.search.issuesAndPullRequests, {
+      ...searchParams,
+      q,
+      page: 1
+    });
+    
+    const from = window?.from || new Date(SEARCH_WINDOW_START);
+    const span = window ? (window.to || new Date()) - from : 0;
+    let truncated = false;
+    if (firstResponse.data.total_count > SEARCH_RESULT_CAP && window && span > MIN_SEARCH_WINDOW_MS) {
+      const middle = new Date(from.getTime() + Math.floor(span / 2));
+      console.log(chalk.gray(`Splitting search window (${firstResponse.data.total_count} results)...`));
+      
+      const older = await this.searchInWindows(searchQuery, searchParams, { from, to: middle }, seen);
+      const newer = await this.searchInWindows(searchQuery, searchParams, { from: new Date(middle.getTime() + 1000), to: window.to }, seen);
+      truncated = older.truncated || newer.truncated;
+    } else {
+      if (firstResponse.data.total_count > SEARCH_RESULT_CAP) {
+        console.warn(chalk.yellow(`⚠️ Search returned ${firstResponse.data.total_count} results, only the first ${SEARCH_RESULT_CAP} are available`));
+        truncated = true;
+      }
+      
+      const remaining = this.maxIssues ? this.maxIssues - seen.size : null;
+      if (remaining !== null && remaining <= 0) {
+        return { items: [...seen.values()], truncated: true };
+      }
+      
+      // Filter out pull requests
+      const page = await this.paginate(
+        this.octokit.rest.search.issuesAndPullRequests,
+        { ...searchParams, q },
+        {
+          itemsKey: 'items',
+          filter: item => !item.pull_request,
+          maxItems: remaining,
+          firstResponse,
+          cacheScope: 'search.issuesAndPullRequests'
+        }
+      );
+      
+      page.items.forEach(item => seen.set(item.id, item));
+      truncated = truncated || page.truncated;
+    }
+    
+    return { items: [...seen.values()], truncated };
+  }
+
+  formatSearchWindow({ from, to }) {
+    if (from && to) {
+      return ` created:${this.formatSearchDate(from)}..${this.formatSearchDate(to)}`;
+    }
+    if (from) {
+      return ` created:>=${this.formatSearchDate(from)}`;
+    }
+    return to ? ` created:<=${this.formatSearchDate(to)}` : '';
+  }
+
+  formatSearchDate(date) {
+    return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+  }
+
+  sortIssues(issues, sort = 'updated', direction = 'desc') {
+    const field = sort === 'comments' ? 'comments' : `${sort}_at`;
+    const value = issue => (sort === 'comments' ? issue.comments : new Date(issue[field]).getTime());
+    const sorted = [...issues].sort((a, b) => value(a) - value(b));
+    return direction === 'asc' ? sorted : sorted.reverse();
+  }
+
   buildLabelsQuery(labels, mode) {
     if (mode === 'all') {
       // GitHub API doesn't support AND logic for labels directly
@@ -244,11 +673,22 @@ export class GitHubClient {
     const {
       labels = [],
       label_mode = 'any',
-      exclude_labels = []
+      exclude_labels = [],
+      assignee = null,
+      until = null
     } = options;
     
     let filtered = issues;
     
+    if (assignee === 'none') {
+      filtered = filtered.filter(issue => !issue.assignees || issue.assignees.length === 0);
+    }
+    
+    if (until) {
+      const untilTime = new Date(until).getTime();
+      filtered = filtered.filter(issue => new Date(issue.updated_at).getTime() <= untilTime);
+    }
+    
     // Apply label filtering for 'all' mode
     if (labels.length > 0 && label_mode === 'all') {
       filtered = filtered.filter(issue => {
@@ -268,6 +708,10 @@ export class GitHubClient {
     return filtered;
   }
 
+  async getAuthToken() {
+    return this.appAuth ? await this.appAuth.getToken(this.owner) : this.token;
+  }
+
   async getRepository(owner, repo) {
     try {
       const { data } = await this.octokit.rest.repos.get({
@@ -332,9 +776,7 @@ export class GitHubClient {
       console.log(chalk.blue(`Fetching comments for issue #${issueNumber} from ${owner}/${repo}...`));
       
       // Check cache first
-      const cacheKey = await this.cache.generateCacheKey('comments', { 
-        owner, repo, issueNumber, options 
-      });
+      const cacheKey = await this.listCacheKey('comments', { owner, repo, issueNumber }, { options });
       if (this.useCache) {
         const cachedComments = this.cache.get(cacheKey);
         if (cachedComments) {
@@ -343,8 +785,6 @@ export class GitHubClient {
         }
       }
       
-      await this.respectRateLimit();
-      
       const params = {
         owner,
         repo,
@@ -358,7 +798,7 @@ export class GitHubClient {
         params.since = since;
       }
 
-      const response = await this.octokit.rest.issues.listComments(params);
+      const response = await this.conditionalRequest('issues.listComments', this.octokit.rest.issues.listComments, params);
       const comments = response.data;
       
       // Cache the results
@@ -379,12 +819,384 @@ export class GitHubClient {
     }
   }
 
+  /**
+   * Fetch the timeline of an issue and reduce it to the typed events in
+   * timeline.js, oldest first. `types` limits the event types kept.
+   */
+  async getIssueTimeline(owner, repo, issueNumber, options = {}) {
+    const { types = [] } = options;
+
+    try {
+      console.log(chalk.blue(`Fetching timeline for issue #${issueNumber} from ${owner}/${repo}...`));
+      
+      const params = { owner, repo, issue_number: issueNumber };
+      const { items } = await this.paginate(this.octokit.rest.issues.listEventsForTimeline, params, {
+        cacheScope: 'issues.listEventsForTimeline'
+      });
+      
+      const timeline = normalizeTimeline(items, { types, webUrl: this.webUrl });
+      console.log(chalk.green(`✓ Found ${timeline.length} timeline events for issue #${issueNumber}`));
+      return timeline;
+    } catch (error) {
+      const context = { operation: 'getIssueTimeline', owner, repo, issueNumber };
+      
+      if (this.errorHandler.isRetryableError(error)) {
+        throw error;
+      } else {
+        await this.errorHandler.handleApiError(error, context);
+      }
+    }
+  }
+
+  /**
+   * Fetch the native sub-issues of an issue. Each one carries its own
+   * sub-issues, down to `maxDepth` levels below the issue.
+   */
+  async getSubIssues(owner, repo, issueNumber, options = {}) {
+    const { maxDepth = 3, depth = 1 } = options;
+
+    try {
+      if (depth === 1) {
+        console.log(chalk.blue(`Fetching sub-issues for issue #${issueNumber} from ${owner}/${repo}...`));
+      }
+      
+      const params = { owner, repo, issue_number: issueNumber };
+      const { items } = await this.paginate(this.octokit.rest.issues.listSubIssues, params, {
+        cacheScope: 'issues.listSubIssues'
+      });
+      
+      const subIssues = [];
+      for (const item of items) {
+        const subIssue = { ...toIssueReference(item), depth, sub_issues: [] };
+        
+        // Skip the request for issues known to have no children
+        if (depth < maxDepth && item.sub_issues_summary?.total !== 0) {
+          const [subOwner, subRepo] = (subIssue.repository || `${owner}/${repo}`).split('/');
+          subIssue.sub_issues = await this.getSubIssues(subOwner, subRepo, item.number, { maxDepth, depth: depth + 1 });
+        }
+        
+        subIssues.push(subIssue);
+      }
+      
+      if (depth === 1) {
+        console.log(chalk.green(`✓ Found ${subIssues.length} sub-issues for issue #${issueNumber}`));
+      }
+      return subIssues;
+    } catch (error) {
+      const context = { operation: 'getSubIssues', owner, repo, issueNumber };
+      
+      if (this.errorHandler.isRetryableError(error)) {
+        throw error;
+      } else {
+        await this.errorHandler.handleApiError(error, context);
+      }
+    }
+  }
+
+  /**
+   * The issue this one is a sub-issue of, or null.
+   */
+  async getParentIssue(owner, repo, issueNumber) {
+    try {
+      // Not covered by the generated REST methods yet
+      const response = await this.conditionalRequest('issues.getParent', this.octokit.request, {
+        url: '/repos/{owner}/{repo}/issues/{issue_number}/parent',
+        owner,
+        repo,
+        issue_number: issueNumber
+      });
+      return toIssueReference(response.data);
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      
+      const context = { operation: 'getParentIssue', owner, repo, issueNumber };
+      
+      if (this.errorHandler.isRetryableError(error)) {
+        throw error;
+      } else {
+        await this.errorHandler.handleApiError(error, context);
+      }
+    }
+  }
+
+  async getIssue(owner, repo, issueNumber) {
+    try {
+      const { data } = await this.conditionalRequest('issues.get', this.octokit.rest.issues.get, {
+        owner,
+        repo,
+        issue_number: issueNumber
+      });
+      return data;
+    } catch (error) {
+      const context = { operation: 'getIssue', owner, repo, issueNumber };
+      
+      if (this.errorHandler.isRetryableError(error)) {
+        throw error;
+      } else {
+        await this.errorHandler.handleApiError(error, context);
+      }
+    }
+  }
+
+  /**
+   * Fetch the Projects (v2) items of the given issues with their field values
+   * (Status, Iteration, custom fields...). `project` keeps only the project
+   * with that number or title. Returns a map of issue number to items.
+   * Board changes don't touch the issue, so this is never served from cache.
+   */
+  async getProjectItems(owner, repo, issueNumbers, options = {}) {
+    const { project = null } = options;
+
+    try {
+      console.log(chalk.blue(`Fetching project fields for ${issueNumbers.length} issues from ${owner}/${repo}...`));
+      
+      const projectItems = new Map();
+      
+      for (let i = 0; i < issueNumbers.length; i += PROJECT_ITEMS_BATCH_SIZE) {
+        const batch = issueNumbers.slice(i, i + PROJECT_ITEMS_BATCH_SIZE);
+        
+        const data = await this.octokit.graphql(buildProjectItemsQuery(batch), { owner, repo })
+          .catch(error => {
+            // A deleted or transferred issue only fails its own alias
+            if (error.data?.repository) {
+              return error.data;
+            }
+            throw error;
+          });
+        
+        for (const issueNumber of batch) {
+          const node = data.repository[`issue${issueNumber}`];
+          if (!node) continue;
+          
+          const items = node.projectItems.nodes
+            .filter(item => !item.isArchived)
+            .map(normalizeProjectItem)
+            .filter(item => !project || item.project.number === Number(project) || item.project.title === project);
+          projectItems.set(issueNumber, items);
+        }
+      }
+      
+      const inProjects = [...projectItems.values()].filter(items => items.length > 0).length;
+      console.log(chalk.green(`✓ Found ${inProjects} issues on project boards`));
+      return projectItems;
+    } catch (error) {
+      const context = { operation: 'getProjectItems', owner, repo };
+      
+      if (this.errorHandler.isRetryableError(error)) {
+        throw error;
+      } else {
+        await this.errorHandler.handleApiError(error, context);
+      }
+    }
+  }
+
+  async getPullRequests(owner, repo, options = {}) {
+    const {
+      state = 'open',
+      sort = 'updated',
+      direction = 'desc',
+      per_page = 100
+    } = options;
+
+    try {
+      console.log(chalk.blue(`Fetching pull requests from ${owner}/${repo}...`));
+      
+      // Check cache first
+      const cacheKey = await this.cache.generateCacheKey('pulls', { owner, repo, options });
+      if (this.useCache) {
+        const cachedPulls = this.cache.get(cacheKey);
+        if (cachedPulls) {
+          console.log(chalk.gray(`✓ Found ${cachedPulls.length} pull requests (cached)`));
+          return cachedPulls;
+        }
+      }
+      
+      const params = {
+        owner,
+        repo,
+        state,
+        sort: PULL_REQUEST_SORT[sort] || 'updated',
+        direction,
+        per_page
+      };
+      
+      const { items, truncated } = await this.paginate(this.octokit.rest.pulls.list, params, {
+        maxItems: this.maxIssues,
+        cacheScope: 'pulls.list'
+      });
+      
+      // The pulls API only filters by state, everything else is checked locally
+      const pulls = markTruncated(items.filter(pull => issueMatchesFilters(pull, { ...options, state: 'all' })), truncated);
+      
+      // Cache the results
+      if (this.useCache && !pulls.truncated) {
+        this.cache.set(cacheKey, pulls);
+      }
+      
+      console.log(chalk.green(`✓ Found ${pulls.length} pull requests`));
+      return pulls;
+    } catch (error) {
+      const context = { operation: 'getPullRequests', owner, repo, options };
+      
+      if (this.errorHandler.isRetryableError(error)) {
+        throw error;
+      } else {
+        await this.errorHandler.handleApiError(error, context);
+      }
+    }
+  }
+
+  /**
+   * Complete a pull request from the list endpoint with merge information,
+   * reviews and review (diff) comments.
+   */
+  async getPullRequestDetails(owner, repo, pullNumber, options = {}) {
+    const {
+      reviews = true,
+      reviewComments = true
+    } = options;
+
+    try {
+      const params = { owner, repo, pull_number: pullNumber };
+      
+      const { data: pull } = await this.conditionalRequest('pulls.get', this.octokit.rest.pulls.get, params);
+      
+      const result = {
+        ...pull,
+        reviews: [],
+        review_comments: []
+      };
+      
+      if (reviews) {
+        ({ items: result.reviews } = await this.paginate(this.octokit.rest.pulls.listReviews, params, {
+          cacheScope: 'pulls.listReviews'
+        }));
+      }
+      
+      if (reviewComments) {
+        ({ items: result.review_comments } = await this.paginate(this.octokit.rest.pulls.listReviewComments, params, {
+          cacheScope: 'pulls.listReviewComments'
+        }));
+      }
+      
+      return result;
+    } catch (error) {
+      const context = { operation: 'getPullRequestDetails', owner, repo, pullNumber };
+      
+      if (this.errorHandler.isRetryableError(error)) {
+        throw error;
+      } else {
+        await this.errorHandler.handleApiError(error, context);
+      }
+    }
+  }
+
+  /**
+   * Fetch discussions with their comments and threaded replies, most recently
+   * updated first. With `since`, paging stops at the first older discussion.
+   */
+  async getDiscussions(owner, repo, options = {}) {
+    const {
+      since = null,
+      commentsLimit = 100
+    } = options;
+
+    try {
+      console.log(chalk.blue(`Fetching discussions from ${owner}/${repo} via GraphQL...`));
+      
+      // Check cache first
+      const cacheKey = await this.cache.generateCacheKey('graphql_discussions', { owner, repo, options });
+      if (this.useCache) {
+        const cachedDiscussions = this.cache.get(cacheKey);
+        if (cachedDiscussions) {
+          console.log(chalk.gray(`✓ Found ${cachedDiscussions.length} discussions (cached)`));
+          return cachedDiscussions;
+        }
+      }
+      
+      const variables = {
+        owner,
+        repo,
+        first: DISCUSSIONS_PAGE_SIZE,
+        commentsFirst: Math.min(commentsLimit, 100),
+        repliesFirst: DISCUSSION_REPLIES_LIMIT
+      };
+      const sinceTime = since ? new Date(since).getTime() : null;
+      
+      let discussions = [];
+      let after = null;
+      let truncated = false;
+      
+      do {
+        const data = await this.octokit.graphql(DISCUSSIONS_QUERY, { ...variables, after });
+        const connection = data.repository.discussions;
+        after = connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null;
+        
+        for (const node of connection.nodes) {
+          if (sinceTime && new Date(node.updatedAt).getTime() < sinceTime) {
+            after = null;
+            break;
+          }
+          
+          const discussion = normalizeDiscussion(node);
+          discussion.comments = await this.collectDiscussionComments(node, commentsLimit);
+          discussions.push(discussion);
+        }
+        
+        if (this.maxIssues && discussions.length >= this.maxIssues) {
+          truncated = discussions.length > this.maxIssues || !!after;
+          if (truncated) {
+            console.warn(chalk.yellow(`⚠️ Stopped after ${this.maxIssues} items (max_issues limit)`));
+          }
+          discussions = markTruncated(discussions.slice(0, this.maxIssues), truncated);
+          break;
+        }
+      } while (after);
+      
+      // Cache the results
+      if (this.useCache && !discussions.truncated) {
+        this.cache.set(cacheKey, discussions);
+      }
+      
+      console.log(chalk.green(`✓ Found ${discussions.length} discussions`));
+      return discussions;
+    } catch (error) {
+      const context = { operation: 'getDiscussions', owner, repo, options };
+      
+      if (this.errorHandler.isRetryableError(error)) {
+        throw error;
+      } else {
+        await this.errorHandler.handleApiError(error, context);
+      }
+    }
+  }
+
+  async collectDiscussionComments(discussionNode, limit) {
+    const connection = discussionNode.comments;
+    const comments = connection.nodes.map(normalizeDiscussionComment);
+    let { hasNextPage, endCursor } = connection.pageInfo;
+    
+    while (hasNextPage && comments.length < limit) {
+      const data = await this.octokit.graphql(DISCUSSION_COMMENTS_QUERY, {
+        id: discussionNode.id,
+        first: Math.min(limit - comments.length, 100),
+        after: endCursor,
+        repliesFirst: DISCUSSION_REPLIES_LIMIT
+      });
+      const page = data.node.comments;
+      comments.push(...page.nodes.map(normalizeDiscussionComment));
+      ({ hasNextPage, endCursor } = page.pageInfo);
+    }
+    
+    return comments.slice(0, limit);
+  }
+
   async createIssueComment(owner, repo, issueNumber, body) {
     try {
       console.log(chalk.blue(`Creating comment on issue #${issueNumber} in ${owner}/${repo}...`));
       
-      await this.respectRateLimit();
-      
       const response = await this.octokit.rest.issues.createComment({
         owner,
         repo,
@@ -392,11 +1204,7 @@ export class GitHubClient {
         body
       });
       
-      // Invalidate cache for this issue's comments
-      const cacheKey = await this.cache.generateCacheKey('comments', { 
-        owner, repo, issueNumber 
-      });
-      this.cache.delete(cacheKey);
+      await this.invalidateIssueCache(owner, repo, issueNumber);
       
       console.log(chalk.green(`✓ Comment created on issue #${issueNumber}`));
       return response.data;
@@ -406,6 +1214,94 @@ export class GitHubClient {
     }
   }
 
+  /**
+   * Create an issue. `issue` holds title, body, labels, assignees and
+   * milestone (number) as the REST API expects them. Not retried, since a
+   * repeated request could open the issue twice.
+   */
+  async createIssue(owner, repo, issue) {
+    try {
+      console.log(chalk.blue(`Creating issue in ${owner}/${repo}...`));
+      
+      const { data } = await this.octokit.rest.issues.create({
+        owner,
+        repo,
+        ...issue
+      });
+      await this.invalidateIssueCache(owner, repo);
+      
+      console.log(chalk.green(`✓ Issue #${data.number} created`));
+      return data;
+    } catch (error) {
+      const context = { operation: 'createIssue', owner, repo };
+      await this.errorHandler.handleApiError(error, context);
+    }
+  }
+
+  async getMilestones(owner, repo) {
+    try {
+      const params = { owner, repo, state: 'all' };
+      const { items } = await this.paginate(this.octokit.rest.issues.listMilestones, params, {
+        cacheScope: 'issues.listMilestones'
+      });
+      
+      return items;
+    } catch (error) {
+      const context = { operation: 'getMilestones', owner, repo };
+      
+      if (this.errorHandler.isRetryableError(error)) {
+        throw error;
+      } else {
+        await this.errorHandler.handleApiError(error, context);
+      }
+    }
+  }
+
+  async getOrganizationRepositories(org) {
+    try {
+      const { items } = await this.paginate(this.octokit.rest.repos.listForOrg, { org, type: 'all' }, {
+        cacheScope: 'repos.listForOrg'
+      });
+      
+      return items;
+    } catch (error) {
+      const context = { operation: 'getOrganizationRepositories', owner: org, repo: '*' };
+      
+      if (this.errorHandler.isRetryableError(error)) {
+        throw error;
+      } else {
+        await this.errorHandler.handleApiError(error, context);
+      }
+    }
+  }
+
+  async updateIssue(owner, repo, issueNumber, changes) {
+    try {
+      const { data } = await this.octokit.rest.issues.update({
+        owner,
+        repo,
+        issue_number: issueNumber,
+        ...changes
+      });
+      await this.invalidateIssueCache(owner, repo);
+      
+      return data;
+    } catch (error) {
+      const context = { operation: 'updateIssue', owner, repo, issueNumber };
+      await this.errorHandler.handleApiError(error, context);
+    }
+  }
+
+  async safeGetIssuesWithComments(owner, repo, options = {}, commentsOptions = null) {
+    const context = { operation: 'safeGetIssuesWithComments', owner, repo };
+    
+    return await this.errorHandler.safeExecute(
+      () => this.getIssuesWithComments(owner, repo, options, commentsOptions),
+      context,
+      [] // fallback to empty array if all retries fail
+    );
+  }
+
   async safeGetIssueComments(owner, repo, issueNumber, options = {}) {
     const context = { operation: 'safeGetIssueComments', owner, repo, issueNumber };
     
@@ -416,6 +1312,113 @@ export class GitHubClient {
     );
   }
 
+  async safeGetIssueTimeline(owner, repo, issueNumber, options = {}) {
+    const context = { operation: 'safeGetIssueTimeline', owner, repo, issueNumber };
+    
+    return await this.errorHandler.safeExecute(
+      () => this.getIssueTimeline(owner, repo, issueNumber, options),
+      context,
+      [] // fallback to empty array if all retries fail
+    );
+  }
+
+  async safeGetSubIssues(owner, repo, issueNumber, options = {}) {
+    const context = { operation: 'safeGetSubIssues', owner, repo, issueNumber };
+    
+    return await this.errorHandler.safeExecute(
+      () => this.getSubIssues(owner, repo, issueNumber, options),
+      context,
+      [] // fallback to empty array if all retries fail
+    );
+  }
+
+  async safeGetParentIssue(owner, repo, issueNumber) {
+    const context = { operation: 'safeGetParentIssue', owner, repo, issueNumber };
+    
+    // No fallback: "no parent" is a valid answer and must not hide failures
+    return await this.errorHandler.safeExecute(
+      () => this.getParentIssue(owner, repo, issueNumber),
+      context
+    );
+  }
+
+  async safeGetIssue(owner, repo, issueNumber) {
+    const context = { operation: 'safeGetIssue', owner, repo, issueNumber };
+    
+    return await this.errorHandler.safeExecute(
+      () => this.getIssue(owner, repo, issueNumber),
+      context
+    );
+  }
+
+  async safeUpdateIssue(owner, repo, issueNumber, changes) {
+    const context = { operation: 'safeUpdateIssue', owner, repo, issueNumber };
+    
+    return await this.errorHandler.safeExecute(
+      () => this.updateIssue(owner, repo, issueNumber, changes),
+      context
+    );
+  }
+
+  async safeGetOrganizationRepositories(org) {
+    const context = { operation: 'safeGetOrganizationRepositories', owner: org, repo: '*' };
+    
+    return await this.errorHandler.safeExecute(
+      () => this.getOrganizationRepositories(org),
+      context
+    );
+  }
+
+  async safeGetMilestones(owner, repo) {
+    const context = { operation: 'safeGetMilestones', owner, repo };
+    
+    return await this.errorHandler.safeExecute(
+      () => this.getMilestones(owner, repo),
+      context,
+      []
+    );
+  }
+
+  async safeGetProjectItems(owner, repo, issueNumbers, options = {}) {
+    const context = { operation: 'safeGetProjectItems', owner, repo };
+    
+    // No fallback: missing board data would move every issue to another folder
+    return await this.errorHandler.safeExecute(
+      () => this.getProjectItems(owner, repo, issueNumbers, options),
+      context
+    );
+  }
+
+  async safeGetPullRequests(owner, repo, options = {}) {
+    const context = { operation: 'safeGetPullRequests', owner, repo };
+    
+    return await this.errorHandler.safeExecute(
+      () => this.getPullRequests(owner, repo, options),
+      context,
+      [] // fallback to empty array if all retries fail
+    );
+  }
+
+  async safeGetPullRequestDetails(owner, repo, pull, options = {}) {
+    const context = { operation: 'safeGetPullRequestDetails', owner, repo, pullNumber: pull.number };
+    
+    return await this.errorHandler.safeExecute(
+      () => this.getPullRequestDetails(owner, repo, pull.number, options),
+      context,
+      { ...pull, reviews: [], review_comments: [] } // fallback to the list entry if all retries fail
+    );
+  }
+
+  async safeGetDiscussions(owner, repo, options = {}) {
+    const context = { operation: 'safeGetDiscussions', owner, repo };
+    
+    return await this.errorHandler.safeExecute(
+      () => this.getDiscussions(owner, repo, options),
+      context,
+      [] // fallback to empty array if all retries fail
+    );
+  }
+
   getErrorHandler() {
     return this.errorHandler;
   }
@@ -0,0 +1,135 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Octokit } from '@octokit/rest';
+import chalk from 'chalk';
+
+// GitHub rejects app JWTs that are valid for more than 10 minutes
+const JWT_LIFETIME_SECONDS = 9 * 60;
+// Installation tokens live for an hour; refresh them a little before that
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * GitHub App authentication: signs app JWTs, exchanges them for installation
+ * access tokens and refreshes those before they expire. Installations are
+ * looked up per owner unless a fixed installation id is configured.
+ */
+export class GitHubAppAuth {
+  constructor(options = {}) {
+    if (!options.appId) {
+      throw new Error('GitHub App id is required');
+    }
+    
+    this.appId = String(options.appId);
+    this.baseUrl = options.baseUrl || 'https://api.github.com';
+    this.installationId = options.installationId || null;
+    this.privateKey = options.privateKey || this.loadPrivateKey(options.privateKeyPath);
+    
+    this.installationIds = new Map(); // owner -> installation id
+    this.tokens = new Map(); // installation id -> { token, expiresAt }
+    this.pendingTokens = new Map(); // installation id -> in-flight token request
+  }
+
+  loadPrivateKey(privateKeyPath) {
+    if (!privateKeyPath) {
+      throw new Error('GitHub App private key is required (private_key_path)');
+    }
+    
+    const resolvedPath = path.resolve(privateKeyPath);
+    if (!fs.existsSync(resolvedPath)) {
+      throw new Error(`GitHub App private key not found: ${resolvedPath}`);
+    }
+    
+    return fs.readFileSync(resolvedPath, 'utf8');
+  }
+
+  createJwt() {
+    const now = Math.floor(Date.now() / 1000);
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    
+    // Backdate issued-at to tolerate clock drift between us and GitHub
+    const header = encode({ alg: 'RS256', typ: 'JWT' });
+    const payload = encode({ iat: now - 60, exp: now + JWT_LIFETIME_SECONDS, iss: this.appId });
+    
+    const signature = crypto
+      .createSign('RSA-SHA256')
+      .update(`${header}.${payload}`)
+      .sign(this.privateKey, 'base64url');
+    
+    return `${header}.${payload}.${signature}`;
+  }
+
+  createAppClient() {
+    return new Octokit({
+      auth: this.createJwt(),
+      baseUrl: this.baseUrl,
+      userAgent: 'github-issues-sync/0.1.0'
+    });
+  }
+
+  async getInstallationId(owner) {
+    if (this.installationId) {
+      return this.installationId;
+    }
+    
+    if (this.installationIds.has(owner)) {
+      return this.installationIds.get(owner);
+    }
+    
+    const appClient = this.createAppClient();
+    let installation;
+    
+    try {
+      ({ data: installation } = await appClient.rest.apps.getOrgInstallation({ org: owner }));
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
+      }
+      
+      try {
+        ({ data: installation } = await appClient.rest.apps.getUserInstallation({ username: owner }));
+      } catch (userError) {
+        if (userError.status === 404) {
+          throw new Error(`GitHub App ${this.appId} is not installed for ${owner}`);
+        }
+        throw userError;
+      }
+    }
+    
+    this.installationIds.set(owner, installation.id);
+    return installation.id;
+  }
+
+  async getToken(owner) {
+    const installationId = await this.getInstallationId(owner);
+    
+    const cached = this.tokens.get(installationId);
+    if (cached && cached.expiresAt - Date.now() > TOKEN_REFRESH_MARGIN_MS) {
+      return cached.token;
+    }
+    
+    // Parallel requests share one token exchange
+    if (!this.pendingTokens.has(installationId)) {
+      const pending = this.createInstallationToken(installationId)
+        .finally(() => this.pendingTokens.delete(installationId));
+      this.pendingTokens.set(installationId, pending);
+    }
+    
+    return await this.pendingTokens.get(installationId);
+  }
+
+  async createInstallationToken(installationId) {
+    const appClient = this.createAppClient();
+    const { data } = await appClient.rest.apps.createInstallationAccessToken({
+      installation_id: installationId
+    });
+    
+    this.tokens.set(installationId, {
+      token: data.token,
+      expiresAt: new Date(data.expires_at).getTime()
+    });
+    
+    console.log(chalk.gray(`✓ Obtained installation token for GitHub App ${this.appId} (installation ${installationId})`));
+    return data.token;
+  }
+}
@@ -0,0 +1,491 @@
+// GraphQL documents and response normalizers.
+// Normalized objects use the REST API field names so that FileManager and
+// SyncTracker can consume them unchanged.
+
+const ACTOR_FIELDS = `
+  login
+  avatarUrl
+  url
+`;
+
+const COMMENT_FIELDS = `
+  databaseId
+  body
+  createdAt
+  updatedAt
+  url
+  author {
+    ${ACTOR_FIELDS}
+  }
+`;
+
+export const ISSUES_QUERY = `
+  query($owner: String!, $repo: String!, $first: Int!, $after: String,
+        $states: [IssueState!], $filterBy: IssueFilters, $orderBy: IssueOrder,
+        $withComments: Boolean!, $commentsFirst: Int!) {
+    repository(owner: $owner, name: $repo) {
+      issues(first: $first, after: $after, states: $states, filterBy: $filterBy, orderBy: $orderBy) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        nodes {
+          id
+          databaseId
+          number
+          title
+          body
+          state
+          stateReason
+          url
+          createdAt
+          updatedAt
+          closedAt
+          author {
+            ${ACTOR_FIELDS}
+          }
+          labels(first: 50) {
+            nodes {
+              name
+              color
+              description
+            }
+          }
+          assignees(first: 20) {
+            nodes {
+              ${ACTOR_FIELDS}
+            }
+          }
+          milestone {
+            number
+            title
+            state
+            dueOn
+            url
+          }
+          subIssuesSummary {
+            total
+            completed
+            percentCompleted
+          }
+          parent {
+            number
+            title
+            state
+            url
+            repository {
+              nameWithOwner
+            }
+          }
+          comments(first: $commentsFirst) @include(if: $withComments) {
+            totalCount
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+            nodes {
+              ${COMMENT_FIELDS}
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+export const ISSUE_COMMENTS_QUERY = `
+  query($id: ID!, $first: Int!, $after: String) {
+    node(id: $id) {
+      ... on Issue {
+        comments(first: $first, after: $after) {
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+          nodes {
+            ${COMMENT_FIELDS}
+          }
+        }
+      }
+    }
+  }
+`;
+
+const DISCUSSION_COMMENT_FIELDS = `
+  ${COMMENT_FIELDS}
+  id
+  upvoteCount
+  isAnswer
+`;
+
+const DISCUSSION_COMMENT_WITH_REPLIES_FIELDS = `
+  ${DISCUSSION_COMMENT_FIELDS}
+  replies(first: $repliesFirst) {
+    totalCount
+    nodes {
+      ${DISCUSSION_COMMENT_FIELDS}
+    }
+  }
+`;
+
+export const DISCUSSIONS_QUERY = `
+  query($owner: String!, $repo: String!, $first: Int!, $after: String,
+        $commentsFirst: Int!, $repliesFirst: Int!) {
+    repository(owner: $owner, name: $repo) {
+      discussions(first: $first, after: $after, orderBy: { field: UPDATED_AT, direction: DESC }) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        nodes {
+          id
+          number
+          title
+          body
+          url
+          closed
+          stateReason
+          createdAt
+          updatedAt
+          closedAt
+          upvoteCount
+          isAnswered
+          answerChosenAt
+          answerChosenBy {
+            ${ACTOR_FIELDS}
+          }
+          author {
+            ${ACTOR_FIELDS}
+          }
+          category {
+            name
+            slug
+            emoji
+            isAnswerable
+          }
+          labels(first: 50) {
+            nodes {
+              name
+              color
+              description
+            }
+          }
+          comments(first: $commentsFirst) {
+            totalCount
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+            nodes {
+              ${DISCUSSION_COMMENT_WITH_REPLIES_FIELDS}
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+export const DISCUSSION_COMMENTS_QUERY = `
+  query($id: ID!, $first: Int!, $after: String, $repliesFirst: Int!) {
+    node(id: $id) {
+      ... on Discussion {
+        comments(first: $first, after: $after) {
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+          nodes {
+            ${DISCUSSION_COMMENT_WITH_REPLIES_FIELDS}
+          }
+        }
+      }
+    }
+  }
+`;
+
+const PROJECT_FIELD_NAME = `
+  field {
+    ... on ProjectV2FieldCommon {
+      name
+    }
+  }
+`;
+
+const PROJECT_ITEM_FIELDS = `
+  projectItems(first: 20) {
+    nodes {
+      isArchived
+      project {
+        number
+        title
+        url
+        owner {
+          ... on Organization {
+            login
+          }
+          ... on User {
+            login
+          }
+        }
+      }
+      fieldValues(first: 50) {
+        nodes {
+          __typename
+          ... on ProjectV2ItemFieldSingleSelectValue {
+            name
+            ${PROJECT_FIELD_NAME}
+          }
+          ... on ProjectV2ItemFieldTextValue {
+            text
+            ${PROJECT_FIELD_NAME}
+          }
+          ... on ProjectV2ItemFieldNumberValue {
+            number
+            ${PROJECT_FIELD_NAME}
+          }
+          ... on ProjectV2ItemFieldDateValue {
+            date
+            ${PROJECT_FIELD_NAME}
+          }
+          ... on ProjectV2ItemFieldIterationValue {
+            title
+            startDate
+            ${PROJECT_FIELD_NAME}
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * One query for the project items of many issues, each issue under an
+ * `issue<number>` alias.
+ */
+export function buildProjectItemsQuery(issueNumbers) {
+  const aliases = issueNumbers.map(issueNumber => `
+      issue${issueNumber}: issue(number: ${Number(issueNumber)}) {
+        ${PROJECT_ITEM_FIELDS}
+      }`).join('');
+
+  return `
+  query($owner: String!, $repo: String!) {
+    repository(owner: $owner, name: $repo) {${aliases}
+    }
+  }
+`;
+}
+
+const ORDER_FIELDS = {
+  created: 'CREATED_AT',
+  updated: 'UPDATED_AT',
+  comments: 'COMMENTS'
+};
+
+export function buildIssuesVariables(owner, repo, options = {}) {
+  const {
+    state = 'open',
+    labels = [],
+    label_mode = 'any',
+    assignee = null,
+    creator = null,
+    mentioned = null,
+    since = null,
+    sort = 'updated',
+    direction = 'desc'
+  } = options;
+
+  const filterBy = {};
+
+  // 'all' is checked client-side, the GraphQL filter only supports "any of"
+  if (labels.length > 0 && label_mode !== 'none') {
+    filterBy.labels = labels;
+  }
+
+  // 'none' has no GraphQL equivalent and is checked client-side
+  if (assignee && assignee !== 'none') {
+    filterBy.assignee = assignee;
+  }
+
+  if (creator) {
+    filterBy.createdBy = creator;
+  }
+
+  if (mentioned) {
+    filterBy.mentioned = mentioned;
+  }
+
+  if (since) {
+    filterBy.since = new Date(since).toISOString();
+  }
+
+  return {
+    owner,
+    repo,
+    states: state === 'all' ? null : [state.toUpperCase()],
+    filterBy,
+    orderBy: {
+      field: ORDER_FIELDS[sort] || 'UPDATED_AT',
+      direction: direction === 'asc' ? 'ASC' : 'DESC'
+    }
+  };
+}
+
+export function normalizeActor(actor) {
+  if (!actor) {
+    return null;
+  }
+
+  return {
+    login: actor.login,
+    avatar_url: actor.avatarUrl || null,
+    html_url: actor.url || null
+  };
+}
+
+export function normalizeComment(node) {
+  return {
+    id: node.databaseId,
+    body: node.body,
+    created_at: node.createdAt,
+    updated_at: node.updatedAt,
+    html_url: node.url,
+    user: normalizeActor(node.author)
+  };
+}
+
+export function normalizeIssue(node) {
+  const issue = {
+    id: node.databaseId,
+    node_id: node.id,
+    number: node.number,
+    title: node.title,
+    body: node.body,
+    state: node.state.toLowerCase(),
+    state_reason: node.stateReason ? node.stateReason.toLowerCase() : null,
+    html_url: node.url,
+    created_at: node.createdAt,
+    updated_at: node.updatedAt,
+    closed_at: node.closedAt,
+    user: normalizeActor(node.author),
+    labels: node.labels.nodes.map(label => ({
+      name: label.name,
+      color: label.color,
+      description: label.description
+    })),
+    assignees: node.assignees.nodes.map(normalizeActor),
+    milestone: node.milestone ? {
+      number: node.milestone.number,
+      title: node.milestone.title,
+      state: node.milestone.state.toLowerCase(),
+      due_on: node.milestone.dueOn,
+      html_url: node.milestone.url
+    } : null
+  };
+
+  if (node.subIssuesSummary) {
+    issue.sub_issues_summary = {
+      total: node.subIssuesSummary.total,
+      completed: node.subIssuesSummary.completed,
+      percent_completed: node.subIssuesSummary.percentCompleted
+    };
+  }
+
+  if ('parent' in node) {
+    issue.parent = node.parent ? {
+      number: node.parent.number,
+      title: node.parent.title,
+      state: node.parent.state.toLowerCase(),
+      html_url: node.parent.url,
+      repository: node.parent.repository.nameWithOwner
+    } : null;
+  }
+
+  return issue;
+}
+
+export function normalizeDiscussionComment(node) {
+  const comment = {
+    ...normalizeComment(node),
+    node_id: node.id,
+    upvote_count: node.upvoteCount || 0,
+    is_answer: node.isAnswer || false
+  };
+
+  if (node.replies) {
+    comment.replies = node.replies.nodes.map(normalizeDiscussionComment);
+    comment.replies_total_count = node.replies.totalCount;
+  }
+
+  return comment;
+}
+
+export function normalizeDiscussion(node) {
+  return {
+    node_id: node.id,
+    number: node.number,
+    title: node.title,
+    body: node.body,
+    state: node.closed ? 'closed' : 'open',
+    state_reason: node.stateReason ? node.stateReason.toLowerCase() : null,
+    html_url: node.url,
+    created_at: node.createdAt,
+    updated_at: node.updatedAt,
+    closed_at: node.closedAt,
+    user: normalizeActor(node.author),
+    labels: node.labels ? node.labels.nodes.map(label => ({
+      name: label.name,
+      color: label.color,
+      description: label.description
+    })) : [],
+    category: {
+      name: node.category.name,
+      slug: node.category.slug,
+      is_answerable: node.category.isAnswerable
+    },
+    upvote_count: node.upvoteCount || 0,
+    is_answered: node.isAnswered || false,
+    answer_chosen_at: node.answerChosenAt || null,
+    answer_chosen_by: normalizeActor(node.answerChosenBy)
+  };
+}
+
+function projectFieldValue(value) {
+  switch (value.__typename) {
+  case 'ProjectV2ItemFieldSingleSelectValue':
+    return value.name;
+  case 'ProjectV2ItemFieldTextValue':
+    return value.text;
+  case 'ProjectV2ItemFieldNumberValue':
+    return value.number;
+  case 'ProjectV2ItemFieldDateValue':
+    return value.date;
+  case 'ProjectV2ItemFieldIterationValue':
+    return value.title;
+  default:
+    return null;
+  }
+}
+
+export function normalizeProjectItem(node) {
+  const fields = {};
+
+  // Built-in fields such as Title or Labels repeat the issue itself
+  for (const value of node.fieldValues.nodes) {
+    const fieldValue = projectFieldValue(value);
+    if (value.field?.name && value.field.name !== 'Title' && fieldValue !== null) {
+      fields[value.field.name] = fieldValue;
+    }
+  }
+
+  return {
+    project: {
+      number: node.project.number,
+      title: node.project.title,
+      html_url: node.project.url,
+      owner: node.project.owner?.login || null
+    },
+    fields
+  };
+}
@@ -4,6 +4,7 @@ import https from 'https';
 import http from 'http';
 import { fileURLToPath } from 'url';
 import chalk from 'chalk';
+import { escapeRegExp } from './utils.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -29,9 +30,9 @@ export class ImageAnalyzer {
   /**
    * Extract image URLs from issue body and comments
    */
-  extractImageUrls(issue) {
+  extractImageUrls(issue, githubClient = this.githubClient) {
     const imageUrls = [];
-    const githubImageRegex = /https:\/\/github\.com\/user-attachments\/assets\/[a-f0-9\-]+/g;
+    const githubImageRegex = new RegExp(`${escapeRegExp(githubClient.webUrl)}/user-attachments/assets/[a-f0-9-]+`, 'g');
     const imgTagRegex = /<img[^>]+src="([^"]+)"/g;
     const markdownImageRegex = /!\[[^\]]*\]\(([^)]+)\)/g;
 
@@ -77,7 +78,11 @@ export class ImageAnalyzer {
   /**
    * Download image from URL with GitHub authentication
    */
-  async downloadImage(imageUrl, filename) {
+  async downloadImage(imageUrl, filename, githubClient = this.githubClient) {
+    // Add GitHub token for private repository images, but only send it to the repository's own host
+    const sendToken = new URL(imageUrl).host === new URL(githubClient.webUrl).host;
+    const authToken = sendToken ? await githubClient.getAuthToken() : null;
+    
     return new Promise((resolve, reject) => {
       try {
         const filePath = path.join(this.imagesDir, filename);
@@ -92,11 +97,13 @@ export class ImageAnalyzer {
         const protocol = imageUrl.startsWith('https:') ? https : http;
         const options = {
           headers: {
-            'User-Agent': 'github-issues-sync/0.1.0',
-            // Add GitHub token for private repository images
-            'Authorization': `token ${this.githubClient.octokit.auth}`
+            'User-Agent': 'github-issues-sync/0.1.0'
           }
         };
+        
+        if (authToken) {
+          options.headers['Authorization'] = `token ${authToken}`;
+        }
 
         const request = protocol.get(imageUrl, options, (response) => {
           if (response.statusCode === 200) {
@@ -249,13 +256,13 @@ export class ImageAnalyzer {
   /**
    * Process all images in an issue
    */
-  async processIssueImages(issue) {
+  async processIssueImages(issue, githubClient = this.githubClient) {
     if (!this.imageConfig.enabled) {
       return { images: [], analyses: [] };
     }
 
     try {
-      const imageUrls = this.extractImageUrls(issue);
+      const imageUrls = this.extractImageUrls(issue, githubClient);
       
       if (imageUrls.length === 0) {
         return { images: [], analyses: [] };
@@ -271,8 +278,9 @@ export class ImageAnalyzer {
         const filename = this.generateImageFilename(issue.number, i, imageUrl);
         
         try {
-          if (this.imageConfig.download_enabled) {
-            const localPath = await this.downloadImage(imageUrl, filename);
+          // A replayed sync stays offline, so images keep their original URLs
+          if (this.imageConfig.download_enabled && !githubClient.recorder?.replaying) {
+            const localPath = await this.downloadImage(imageUrl, filename, githubClient);
             
             if (localPath && this.imageConfig.analyze_enabled) {
               const analysis = await this.analyzeImage(localPath, `Issue #${issue.number}`);
@@ -1,31 +1,58 @@
+import { escapeRegExp } from './utils.js';
+
 export class IssueAnalyzer {
-  constructor() {
+  constructor(options = {}) {
+    const webUrls = options.webUrls || ['https://github.com'];
+    const hosts = webUrls.map(escapeRegExp).join('|');
+    
+    // Full issue URL on any configured GitHub host
+    const issueUrl = `(?:${hosts})/[^/\\s]+/[^/\\s]+/issues/`;
+    // "#123" or an issue URL, capturing the number
+    const issueRef = `(?:#|${issueUrl})(\\d+)`;
+    
+    this.issueUrlPattern = new RegExp(`${issueUrl}\\d+`);
+    this.issueRefPattern = new RegExp(issueRef);
+    this.issueRefReplacePattern = new RegExp(`(?:#|${issueUrl})\\d+`);
+    
     this.relationshipPatterns = {
-      closes: /(?:closes?|close|fix|fixes?|fixed|resolve|resolves?|resolved)\s+(?:#|https:\/\/github\.com\/[^\/]+\/[^\/]+\/issues\/)(\d+)/gi,
-      relates: /(?:relates?\s+to|related\s+to|see\s+also|references?)\s+(?:#|https:\/\/github\.com\/[^\/]+\/[^\/]+\/issues\/)(\d+)/gi,
-      depends: /(?:depends?\s+on|blocked\s+by|requires?)\s+(?:#|https:\/\/github\.com\/[^\/]+\/[^\/]+\/issues\/)(\d+)/gi,
-      blocks: /(?:blocks?|blocking)\s+(?:#|https:\/\/github\.com\/[^\/]+\/[^\/]+\/issues\/)(\d+)/gi,
-      duplicate: /(?:duplicate\s+of|duplicates?)\s+(?:#|https:\/\/github\.com\/[^\/]+\/[^\/]+\/issues\/)(\d+)/gi
+      closes: new RegExp(`(?:closes?|close|fix|fixes?|fixed|resolve|resolves?|resolved)\\s+${issueRef}`, 'gi'),
+      relates: new RegExp(`(?:relates?\\s+to|related\\s+to|see\\s+also|references?)\\s+${issueRef}`, 'gi'),
+      depends: new RegExp(`(?:depends?\\s+on|blocked\\s+by|requires?)\\s+${issueRef}`, 'gi'),
+      blocks: new RegExp(`(?:blocks?|blocking)\\s+${issueRef}`, 'gi'),
+      duplicate: new RegExp(`(?:duplicate\\s+of|duplicates?)\\s+${issueRef}`, 'gi')
     };
     
     this.taskListPattern = /^[\s]*[-*+]\s+\[([ xX])\]\s+(.+)$/gm;
-    this.subIssuePattern = /^[\s]*[-*+]\s+\[([ xX])\]\s+(.+?)(?:\s+(?:#|https:\/\/github\.com\/[^\/]+\/[^\/]+\/issues\/)(\d+))?$/gm;
+    this.subIssuePattern = new RegExp(`^[\\s]*[-*+]\\s+\\[([ xX])\\]\\s+(.+?)(?:\\s+${issueRef})?$`, 'gm');
+  }
+
+  /**
+   * Web URL of the issue's repository, e.g. https://github.com/owner/repo
+   */
+  getRepositoryUrl(issue) {
+    return issue.html_url ? issue.html_url.replace(/\/(?:issues|pull)\/\d+$/, '') : null;
+  }
+
+  issueLink(issueNumber, repositoryUrl) {
+    return repositoryUrl ? `${repositoryUrl}/issues/${issueNumber}` : `#${issueNumber}`;
   }
 
   analyzeIssue(issue) {
     const body = issue.body || '';
+    const repositoryUrl = this.getRepositoryUrl(issue);
     
     return {
       ...issue,
-      relationships: this.extractRelationships(body),
+      relationships: this.extractRelationships(body, repositoryUrl),
       taskList: this.parseTaskList(body),
-      subIssues: this.extractSubIssues(body),
+      subIssues: this.extractSubIssues(body, repositoryUrl, issue),
+      parentIssue: this.extractParentIssue(issue, repositoryUrl),
       progress: this.calculateProgress(body, issue),
       metadata: this.extractMetadata(issue)
     };
   }
 
-  extractRelationships(body) {
+  extractRelationships(body, repositoryUrl = null) {
     const relationships = {
       closes: [],
       relates: [],
@@ -36,11 +63,14 @@ export class IssueAnalyzer {
 
     for (const [type, pattern] of Object.entries(this.relationshipPatterns)) {
       const matches = [...body.matchAll(pattern)];
-      relationships[type] = matches.map(match => ({
-        issueNumber: parseInt(match[1]),
-        originalText: match[0],
-        url: match[0].includes('github.com') ? match[0] : `#${match[1]}`
-      }));
+      relationships[type] = matches.map(match => {
+        const urlMatch = match[0].match(this.issueUrlPattern);
+        return {
+          issueNumber: parseInt(match[1]),
+          originalText: match[0],
+          url: urlMatch ? urlMatch[0] : this.issueLink(match[1], repositoryUrl)
+        };
+      });
     }
 
     return relationships;
@@ -55,7 +85,7 @@ export class IssueAnalyzer {
       const taskText = match[2].trim();
       
       // Extract issue number if present in task
-      const issueMatch = taskText.match(/(?:#|https:\/\/github\.com\/[^\/]+\/[^\/]+\/issues\/)(\d+)/);
+      const issueMatch = taskText.match(this.issueRefPattern);
       
       tasks.push({
         completed: isCompleted,
@@ -74,18 +104,60 @@ export class IssueAnalyzer {
     };
   }
 
-  extractSubIssues(body) {
+  /**
+   * List item for a parent or sub-issue. The reference reads "#123" within
+   * the same repository and "owner/repo#123" elsewhere.
+   */
+  toIssueItem(issue, repositoryUrl) {
+    const sameRepository = repositoryUrl && issue.html_url?.startsWith(`${repositoryUrl}/`);
+    
+    return {
+      issueNumber: issue.number,
+      title: issue.title,
+      state: issue.state,
+      completed: issue.state === 'closed',
+      url: issue.html_url,
+      reference: sameRepository || !issue.repository ? `#${issue.number}` : `${issue.repository}#${issue.number}`,
+      sameRepository: Boolean(sameRepository)
+    };
+  }
+
+  extractParentIssue(issue, repositoryUrl = null) {
+    return issue.parent ? this.toIssueItem(issue.parent, repositoryUrl) : null;
+  }
+
+  extractSubIssues(body, repositoryUrl = null, issue = {}) {
+    // Native sub-issues from the API replace the parsed task list
+    if (Array.isArray(issue.sub_issues)) {
+      const toItem = subIssue => ({
+        ...this.toIssueItem(subIssue, repositoryUrl),
+        depth: subIssue.depth,
+        children: (subIssue.sub_issues || []).map(toItem)
+      });
+      const items = issue.sub_issues.map(toItem);
+      
+      return {
+        items,
+        total: items.length,
+        completed: items.filter(si => si.completed).length,
+        completionRate: items.length > 0 ? (items.filter(si => si.completed).length / items.length) * 100 : 0,
+        source: 'github_api'
+      };
+    }
+    
     const subIssues = [];
     const taskList = this.parseTaskList(body);
     
     // Extract sub-issues from task list
     for (const task of taskList.tasks) {
       if (task.type === 'sub-issue' && task.issueNumber) {
+        const urlMatch = task.text.match(this.issueUrlPattern);
         subIssues.push({
           issueNumber: task.issueNumber,
-          title: task.text.replace(/(?:#|https:\/\/github\.com\/[^\/]+\/[^\/]+\/issues\/)\d+/, '').trim(),
+          title: task.text.replace(this.issueRefReplacePattern, '').trim(),
           completed: task.completed,
-          originalText: task.originalText
+          originalText: task.originalText,
+          url: urlMatch ? urlMatch[0] : this.issueLink(task.issueNumber, repositoryUrl)
         });
       }
     }
@@ -94,7 +166,8 @@ export class IssueAnalyzer {
       items: subIssues,
       total: subIssues.length,
       completed: subIssues.filter(si => si.completed).length,
-      completionRate: subIssues.length > 0 ? (subIssues.filter(si => si.completed).length / subIssues.length) * 100 : 0
+      completionRate: subIssues.length > 0 ? (subIssues.filter(si => si.completed).length / subIssues.length) * 100 : 0,
+      source: 'parsed'
     };
   }
 
@@ -102,6 +175,17 @@ export class IssueAnalyzer {
     const taskList = this.parseTaskList(body);
     const apiProgress = issue.sub_issues_summary || {};
     
+    // Without a summary, count the fetched sub-issues instead of checkboxes
+    if (!apiProgress.total && issue.sub_issues?.length > 0) {
+      const subIssues = this.extractSubIssues(body, null, issue);
+      return {
+        total: subIssues.total,
+        completed: subIssues.completed,
+        percentage: Math.round(subIssues.completionRate),
+        source: 'github_api'
+      };
+    }
+    
     // Use GitHub API data if available, otherwise use parsed data
     const total = apiProgress.total || taskList.total;
     const completed = apiProgress.completed || taskList.completed;
@@ -117,7 +201,8 @@ export class IssueAnalyzer {
 
   extractMetadata(issue) {
     return {
-      hasSubIssues: (issue.sub_issues_summary?.total || 0) > 0,
+      hasSubIssues: (issue.sub_issues_summary?.total || issue.sub_issues?.length || 0) > 0,
+      hasParent: Boolean(issue.parent),
       hasTaskList: this.parseTaskList(issue.body || '').total > 0,
       hasRelationships: Object.values(this.extractRelationships(issue.body || '')).some(arr => arr.length > 0),
       complexity: this.calculateComplexity(issue)
@@ -191,9 +276,16 @@ export class IssueAnalyzer {
     return output;
   }
 
-  formatSubIssuesForMarkdown(subIssues) {
+  /**
+   * `linkFor` maps an issue item to its link target, e.g. a local file.
+   */
+  formatSubIssuesForMarkdown(subIssues, linkFor = item => item.url) {
     if (subIssues.total === 0) return '';
     
+    if (subIssues.source === 'github_api') {
+      return this.formatSubIssueTreeForMarkdown(subIssues, linkFor);
+    }
+    
     let output = `## Sub-Issues (${subIssues.completed}/${subIssues.total})\n\n`;
     output += `${this.generateProgressBar(subIssues.completionRate)} ${Math.round(subIssues.completionRate)}%\n\n`;
     
@@ -204,7 +296,7 @@ export class IssueAnalyzer {
       if (pendingItems.length > 0) {
         output += '### ⭕ Pending\n\n';
         for (const item of pendingItems) {
-          output += `- [ ] [#${item.issueNumber}](#{item.issueNumber}) ${item.title}\n`;
+          output += `- [ ] [#${item.issueNumber}](${item.url}) ${item.title}\n`;
         }
         output += '\n';
       }
@@ -212,7 +304,7 @@ export class IssueAnalyzer {
       if (completedItems.length > 0) {
         output += '### ✅ Completed\n\n';
         for (const item of completedItems) {
-          output += `- [x] [#${item.issueNumber}](#${item.issueNumber}) ${item.title}\n`;
+          output += `- [x] [#${item.issueNumber}](${item.url}) ${item.title}\n`;
         }
         output += '\n';
       }
@@ -221,6 +313,28 @@ export class IssueAnalyzer {
     return output;
   }
 
+  formatSubIssueTreeForMarkdown(subIssues, linkFor) {
+    let output = `## Sub-Issues (${subIssues.completed}/${subIssues.total})\n\n`;
+    output += `${this.generateProgressBar(subIssues.completionRate)} ${Math.round(subIssues.completionRate)}%\n\n`;
+    
+    const appendItems = (items, indent) => {
+      for (const item of items) {
+        const checkbox = item.completed ? '[x]' : '[ ]';
+        output += `${indent}- ${checkbox} [${item.reference}](${linkFor(item)}) ${item.title}\n`;
+        appendItems(item.children, `${indent}  `);
+      }
+    };
+    
+    appendItems(subIssues.items, '');
+    return `${output}\n`;
+  }
+
+  formatParentIssueForMarkdown(parentIssue, linkFor = item => item.url) {
+    if (!parentIssue) return '';
+    
+    return `## Parent Issue\n\n- [${parentIssue.reference}](${linkFor(parentIssue)}) ${parentIssue.title} (${parentIssue.state})\n\n`;
+  }
+
   getIssueSummary(analyzedIssue) {
     return {
       number: analyzedIssue.number,
@@ -228,6 +342,7 @@ export class IssueAnalyzer {
       complexity: analyzedIssue.metadata.complexity,
       progress: analyzedIssue.progress,
       hasSubIssues: analyzedIssue.metadata.hasSubIssues,
+      hasParent: analyzedIssue.metadata.hasParent,
       hasTaskList: analyzedIssue.metadata.hasTaskList,
       hasRelationships: analyzedIssue.metadata.hasRelationships,
       relationshipCount: Object.values(analyzedIssue.relationships).reduce((sum, arr) => sum + arr.length, 0)
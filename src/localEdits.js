@@ -0,0 +1,278 @@
+// Local edits to synced issue files.
+// Reads the editable fields back out of a rendered issue file and works out,
+// against the last synced version and the current issue on GitHub, what to push.
+
+import { LOCAL_NOTES_REGION } from './localNotes.js';
+
+export const BODY_START = '<!-- gis:body-start -->';
+export const BODY_END = '<!-- gis:body-end -->';
+
+export const PUSH_FIELDS = ['title', 'body', 'labels', 'assignees', 'tasks'];
+// Rewriting whole bodies has to be allowed explicitly
+export const DEFAULT_PUSH_FIELDS = ['title', 'labels', 'assignees', 'tasks'];
+
+// Template placeholder for issues without a body
+const EMPTY_BODY = 'No description provided.';
+const TASK_LINE = /^(\s*[-*+]\s+\[)([ xX])(\]\s+)(.*)$/;
+
+// Inverse of Mustache's escaping of {{...}} values
+const HTML_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': '\'',
+  '&#x2F;': '/',
+  '&#x60;': '`',
+  '&#x3D;': '='
+};
+
+function unescapeHtml(text) {
+  return text.replace(/&(?:amp|lt|gt|quot|#39|#x2F|#x60|#x3D);/g, entity => HTML_ENTITIES[entity]);
+}
+
+// Items of a "## Heading" list such as "- `bug`" or "- @alice"; null if the section is missing
+function parseListSection(content, heading, itemPattern) {
+  const section = content.match(new RegExp(`^## ${heading}\\n([\\s\\S]*?)(?=\\n\\s*\\n|(?![\\s\\S]))`, 'm'));
+  if (!section) {
+    return null;
+  }
+
+  return section[1]
+    .split('\n')
+    .map(line => line.match(itemPattern))
+    .filter(Boolean)
+    .map(match => unescapeHtml(match[1]));
+}
+
+/**
+ * Editable fields of a rendered issue file. Fields the file doesn't show
+ * (a custom template, or an empty Labels section left out) are null.
+ */
+export function parseIssueFile(content) {
+  const markdown = content
+    .replace(/^---\n[\s\S]*?\n---\n+/, '')
+    .replace(LOCAL_NOTES_REGION, '');
+
+  const title = markdown.match(/^# (.*)$/m);
+  const bodyStart = markdown.indexOf(BODY_START);
+  const bodyEnd = markdown.indexOf(BODY_END, bodyStart);
+
+  let body = null;
+  if (bodyStart !== -1 && bodyEnd !== -1) {
+    body = unescapeHtml(markdown.slice(bodyStart + BODY_START.length, bodyEnd).trim());
+    body = body === EMPTY_BODY ? '' : body;
+  }
+
+  return {
+    title: title ? unescapeHtml(title[1].trim()) : null,
+    body,
+    labels: parseListSection(markdown, 'Labels', /^- `(.*)`\s*$/),
+    assignees: parseListSection(markdown, 'Assignees', /^- @(\S+)\s*$/)
+  };
+}
+
+export function parseTasks(body) {
+  return (body || '')
+    .split('\n')
+    .map(line => line.match(TASK_LINE))
+    .filter(Boolean)
+    .map(match => ({ text: match[4].trim(), checked: match[2] !== ' ' }));
+}
+
+const normalizeText = text => (text || '').replace(/\r\n/g, '\n').replace(/\s+$/gm, '').trim();
+// Body text with every checkbox cleared, so toggles alone don't count as a body edit
+const withoutTaskStates = text => normalizeText(text)
+  .split('\n')
+  .map(line => line.replace(TASK_LINE, '$1 $3$4'))
+  .join('\n');
+const sameSet = (a, b) => a.length === b.length && a.every(item => b.includes(item));
+
+/**
+ * Changes to send for one issue: a three-way comparison of the last synced
+ * version (`base`), the local file and the issue on GitHub (`remote`).
+ * Only `fields` are considered; `force` lets local edits win conflicts.
+ */
+export function planIssueUpdate(base, local, remote, fields, options = {}) {
+  const { force = false } = options;
+  const plan = { update: {}, changes: [], conflicts: [], skipped: [] };
+
+  const baseLabels = (base.labels || []).map(label => label.name);
+  const baseAssignees = (base.assignees || []).map(assignee => assignee.login);
+  const remoteLabels = (remote.labels || []).map(label => label.name);
+  const remoteAssignees = (remote.assignees || []).map(assignee => assignee.login);
+
+  // A missing list section can only be told apart from "no entries" when there were none
+  const localLabels = local.labels ?? (baseLabels.length === 0 ? [] : null);
+  const localAssignees = local.assignees ?? (baseAssignees.length === 0 ? [] : null);
+
+  const edited = {
+    title: local.title !== null && local.title !== base.title,
+    body: local.body !== null && withoutTaskStates(local.body) !== withoutTaskStates(base.body),
+    labels: localLabels !== null && !sameSet(localLabels, baseLabels),
+    assignees: localAssignees !== null && !sameSet(localAssignees, baseAssignees)
+  };
+
+  for (const field of ['title', 'body']) {
+    if (!edited[field]) {
+      continue;
+    }
+    if (!fields.includes(field)) {
+      plan.skipped.push(field);
+      continue;
+    }
+
+    const remoteValue = remote[field] || '';
+    if (normalizeText(remoteValue) === normalizeText(local[field])) {
+      continue;
+    }
+    if (normalizeText(remoteValue) !== normalizeText(base[field]) && !force) {
+      plan.conflicts.push({ field, message: `${field} was also changed on GitHub` });
+      continue;
+    }
+
+    plan.update[field] = local[field];
+    plan.changes.push({ field, from: remoteValue, to: local[field] });
+  }
+
+  // Lists merge: local additions and removals are applied to the current remote list
+  const lists = [
+    ['labels', localLabels, baseLabels, remoteLabels],
+    ['assignees', localAssignees, baseAssignees, remoteAssignees]
+  ];
+  for (const [field, localList, baseList, remoteList] of lists) {
+    if (!edited[field]) {
+      continue;
+    }
+    if (!fields.includes(field)) {
+      plan.skipped.push(field);
+      continue;
+    }
+
+    const added = localList.filter(item => !baseList.includes(item));
+    const removed = baseList.filter(item => !localList.includes(item));
+    const merged = [...new Set([...remoteList, ...added])].filter(item => !removed.includes(item));
+
+    if (!sameSet(merged, remoteList)) {
+      plan.update[field] = merged;
+      plan.changes.push({
+        field,
+        added: merged.filter(item => !remoteList.includes(item)),
+        removed: remoteList.filter(item => !merged.includes(item))
+      });
+    }
+  }
+
+  // Checkbox toggles are applied to the remote body line by line, unless the whole body goes up
+  if (local.body !== null && plan.update.body === undefined) {
+    const baseTasks = parseTasks(base.body);
+    const toggled = parseTasks(local.body).filter(task => {
+      const index = baseTasks.findIndex(baseTask => baseTask.text === task.text);
+      if (index === -1) {
+        return false;
+      }
+      const [baseTask] = baseTasks.splice(index, 1);
+      return baseTask.checked !== task.checked;
+    });
+
+    if (toggled.length > 0 && !fields.includes('tasks')) {
+      plan.skipped.push('tasks');
+    } else if (toggled.length > 0) {
+      const { body, applied, missing } = applyTaskToggles(remote.body || '', toggled);
+      missing.forEach(task => plan.conflicts.push({ field: 'tasks', message: `task "${task.text}" no longer exists on GitHub` }));
+      if (applied.length > 0) {
+        plan.update.body = body;
+        plan.changes.push({ field: 'tasks', tasks: applied });
+      }
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Sets the checkbox of each task with matching text in `body`.
+ */
+export function applyTaskToggles(body, toggles) {
+  const lines = body.split('\n');
+  const used = new Set();
+  const applied = [];
+  const missing = [];
+
+  for (const task of toggles) {
+    const index = lines.findIndex((line, lineIndex) => {
+      const match = line.match(TASK_LINE);
+      return match && !used.has(lineIndex) && match[4].trim() === task.text;
+    });
+
+    if (index === -1) {
+      missing.push(task);
+      continue;
+    }
+
+    used.add(index);
+    const match = lines[index].match(TASK_LINE);
+    if ((match[2] !== ' ') !== task.checked) {
+      lines[index] = `${match[1]}${task.checked ? 'x' : ' '}${match[3]}${match[4]}`;
+      applied.push(task);
+    }
+  }
+
+  return { body: lines.join('\n'), applied, missing };
+}
+
+// Minimal line diff (longest common subsequence) for dry runs
+export function diffLines(before, after) {
+  const a = before ? before.split('\n') : [];
+  const b = after ? after.split('\n') : [];
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      i++;
+      j++;
+    } else if (j < b.length && (i === a.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+      lines.push(`+ ${b[j++]}`);
+    } else {
+      lines.push(`- ${a[i++]}`);
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Human-readable lines describing a planned update.
+ */
+export function describeIssueUpdate(plan) {
+  const lines = [];
+
+  for (const change of plan.changes) {
+    switch (change.field) {
+    case 'title':
+      lines.push(`title: "${change.from}" → "${change.to}"`);
+      break;
+    case 'body':
+      lines.push('body:', ...diffLines(change.from, change.to).map(line => `  ${line}`));
+      break;
+    case 'labels':
+    case 'assignees':
+      lines.push(`${change.field}: ${[...change.added.map(item => `+${item}`), ...change.removed.map(item => `-${item}`)].join(' ')}`);
+      break;
+    case 'tasks':
+      lines.push(...change.tasks.map(task => `task: [${task.checked ? 'x' : ' '}] ${task.text}`));
+      break;
+    }
+  }
+
+  return lines;
+}
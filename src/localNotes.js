@@ -0,0 +1,42 @@
+// Local notes: regions of a synced file that belong to the reader, not GitHub.
+// Text between the markers survives re-renders; everything else is replaced.
+
+export const LOCAL_NOTES_START = '<!-- gis:local-start -->';
+export const LOCAL_NOTES_END = '<!-- gis:local-end -->';
+
+export const LOCAL_NOTES_REGION = /<!-- gis:local-start -->([\s\S]*?)<!-- gis:local-end -->/g;
+
+/**
+ * Contents of the non-empty local-notes regions, in file order.
+ */
+export function extractLocalNotes(content) {
+  if (!content) {
+    return [];
+  }
+
+  return [...content.matchAll(LOCAL_NOTES_REGION)]
+    .map(match => match[1])
+    .filter(notes => notes.trim());
+}
+
+export function hasLocalNotes(content) {
+  return extractLocalNotes(content).length > 0;
+}
+
+/**
+ * Puts saved notes back into freshly rendered content: into the template's
+ * regions in order, with any left over appended at the end of the file.
+ */
+export function mergeLocalNotes(content, notes) {
+  if (notes.length === 0) {
+    return content;
+  }
+
+  const remaining = [...notes];
+  const merged = content.replace(LOCAL_NOTES_REGION, region => (
+    remaining.length > 0 ? `${LOCAL_NOTES_START}${remaining.shift()}${LOCAL_NOTES_END}` : region
+  ));
+
+  const appended = remaining.map(text => `${LOCAL_NOTES_START}${text}${LOCAL_NOTES_END}`).join('\n\n');
+  return appended ? `${merged.replace(/\s*$/, '')}\n\n${appended}\n` : merged;
+}
@@ -0,0 +1,58 @@
+import ora from 'ora';
+
+/**
+ * One spinner for a whole sync with a status line per repository, so
+ * repositories processed side by side don't overwrite each other's progress.
+ */
+export class SyncProgress {
+  constructor() {
+    this.lines = new Map();
+    this.spinner = null;
+  }
+
+  /**
+   * Status handle for one repository. It has the `text` and `stop()` of an
+   * ora spinner, so the fetch helpers take either.
+   */
+  start(name, text) {
+    const progress = this;
+    const handle = {
+      get text() {
+        return progress.lines.get(name);
+      },
+      set text(value) {
+        progress.update(name, value);
+      },
+      stop() {
+        progress.remove(name);
+      }
+    };
+
+    handle.text = text;
+    return handle;
+  }
+
+  update(name, text) {
+    this.lines.set(name, text);
+
+    if (!this.spinner) {
+      this.spinner = ora().start();
+    }
+    this.render();
+  }
+
+  remove(name) {
+    this.lines.delete(name);
+
+    if (this.lines.size > 0) {
+      this.render();
+    } else if (this.spinner) {
+      this.spinner.stop();
+      this.spinner = null;
+    }
+  }
+
+  render() {
+    this.spinner.text = [...this.lines].map(([name, text]) => `${name}: ${text}`).join('\n  ');
+  }
+}
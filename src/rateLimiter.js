@@ -0,0 +1,196 @@
+import chalk from 'chalk';
+
+// GitHub asks to wait at least a minute after a secondary rate limit without retry-after
+const SECONDARY_LIMIT_WAIT = 60 * 1000;
+// Waits shorter than this are not worth a log line
+const NOTICE_WAIT = 5000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Rate-limit bucket a request counts against.
+ */
+export function requestResource(requestOptions) {
+  const url = requestOptions.url || '';
+
+  if (url.endsWith('/graphql')) {
+    return 'graphql';
+  }
+  if (url.startsWith('/search/code')) {
+    return 'code_search';
+  }
+  if (url.startsWith('/search/')) {
+    return 'search';
+  }
+  return 'core';
+}
+
+/**
+ * Schedules every request of one set of credentials, wherever it comes from
+ * (parallel repositories included). Budgets are tracked per resource from
+ * the x-ratelimit-* headers: requests start at least `minDelay` apart, are
+ * spread over the time to the reset once less than `threshold` of the budget
+ * is left, and wait for the reset when it is used up. Each resource has its
+ * own queue, so a search waiting for its reset doesn't hold back core
+ * requests. Rate-limited requests (retry-after, secondary limits, GraphQL
+ * RATE_LIMITED errors) are queued again instead of failing.
+ */
+export class RateLimitScheduler {
+  constructor(options = {}) {
+    this.minDelay = options.minDelay ?? 100;
+    this.threshold = options.threshold ?? 0.2;
+    this.maxWait = options.maxWait ?? 60 * 60 * 1000;
+    this.maxRetries = options.maxRetries ?? 5;
+
+    this.resources = new Map();
+    this.pausedUntil = 0;
+    this.lastStarts = new Map();
+    this.queues = new Map();
+    this.waitedMs = 0;
+  }
+
+  async schedule(requestOptions, send) {
+    const resource = requestResource(requestOptions);
+
+    for (let attempt = 1; ; attempt++) {
+      await this.acquire(resource);
+
+      try {
+        const response = await send();
+        this.update(resource, response.headers);
+
+        // Out of retries the response is returned, and the GraphQL client throws its errors
+        const wait = this.responseRetryWait(resource, response);
+        if (wait === null || attempt > this.maxRetries || wait > this.maxWait) {
+          return response;
+        }
+
+        console.warn(chalk.yellow(`⚠️ GitHub rate limit hit (${resource}), retrying in ${Math.ceil(wait / 1000)}s`));
+      } catch (error) {
+        this.update(resource, error.response?.headers);
+
+        const wait = this.retryWait(resource, error);
+        if (wait === null || attempt > this.maxRetries || wait > this.maxWait) {
+          throw error;
+        }
+
+        console.warn(chalk.yellow(`⚠️ GitHub rate limit hit (${resource}), retrying in ${Math.ceil(wait / 1000)}s`));
+      }
+    }
+  }
+
+  /**
+   * Takes the next turn in the resource's queue, so concurrent callers start
+   * requests one after another with the computed spacing.
+   */
+  acquire(resource) {
+    const queue = this.queues.get(resource) || Promise.resolve();
+    const turn = queue.then(() => this.waitForTurn(resource));
+    this.queues.set(resource, turn.catch(() => {}));
+    return turn;
+  }
+
+  async waitForTurn(resource) {
+    const wait = this.delayFor(resource);
+
+    if (wait > this.maxWait) {
+      const reset = new Date(Date.now() + wait).toLocaleTimeString();
+      throw new Error(`GitHub rate limit for ${resource} exhausted until ${reset}`);
+    }
+
+    if (wait > 0) {
+      if (wait >= NOTICE_WAIT) {
+        console.log(chalk.yellow(`⏳ Waiting ${Math.ceil(wait / 1000)}s for the ${resource} rate limit...`));
+      }
+      this.waitedMs += wait;
+      await sleep(wait);
+    }
+
+    this.lastStarts.set(resource, Date.now());
+
+    // Count the request against the budget before its response arrives
+    const state = this.resources.get(resource);
+    if (state && state.remaining > 0) {
+      state.remaining--;
+    }
+  }
+
+  delayFor(resource, now = Date.now()) {
+    const lastStart = this.lastStarts.get(resource) || 0;
+    let wait = Math.max(this.pausedUntil - now, lastStart + this.minDelay - now, 0);
+
+    const state = this.resources.get(resource);
+    if (!state || state.reset <= now) {
+      return wait;
+    }
+
+    if (state.remaining <= 0) {
+      wait = Math.max(wait, state.reset - now);
+    } else if (state.remaining < state.limit * this.threshold) {
+      const interval = (state.reset - now) / state.remaining;
+      wait = Math.max(wait, lastStart + interval - now);
+    }
+
+    return wait;
+  }
+
+  update(resource, headers) {
+    const remaining = headers?.['x-ratelimit-remaining'];
+    if (remaining === undefined) {
+      return;
+    }
+
+    this.resources.set(headers['x-ratelimit-resource'] || resource, {
+      limit: parseInt(headers['x-ratelimit-limit'], 10),
+      remaining: parseInt(remaining, 10),
+      reset: parseInt(headers['x-ratelimit-reset'], 10) * 1000
+    });
+  }
+
+  /**
+   * How long to wait before sending a rate-limited request again, or null
+   * for any other error. An exhausted budget only holds back its own
+   * resource; secondary limits pause everything sent with these credentials.
+   */
+  retryWait(resource, error) {
+    if (error.status !== 403 && error.status !== 429) {
+      return null;
+    }
+
+    const secondary = /secondary rate limit|abuse/i.test(error.message || '');
+    return this.rateLimitWait(resource, error.response?.headers, secondary);
+  }
+
+  /**
+   * The same for a successful response: GraphQL reports rate limits with a
+   * 200 and a RATE_LIMITED error instead of an HTTP status.
+   */
+  responseRetryWait(resource, response) {
+    const errors = response.data?.errors;
+    if (!Array.isArray(errors) || !errors.some(error => error.type === 'RATE_LIMITED')) {
+      return null;
+    }
+
+    return this.rateLimitWait(resource, response.headers, true);
+  }
+
+  rateLimitWait(resource, headers, secondary) {
+    const state = this.resources.get(resource);
+    if (state && state.remaining <= 0) {
+      return Math.max(state.reset - Date.now(), 0);
+    }
+
+    const retryAfter = headers?.['retry-after'];
+    let wait = null;
+    if (retryAfter !== undefined) {
+      wait = parseInt(retryAfter, 10) * 1000;
+    } else if (secondary) {
+      wait = SECONDARY_LIMIT_WAIT;
+    }
+
+    if (wait !== null) {
+      this.pausedUntil = Math.max(this.pausedUntil, Date.now() + wait);
+    }
+    return wait;
+  }
+}
@@ -0,0 +1,100 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Longest readable part of a fixture file name
+const MAX_SLUG_LENGTH = 80;
+
+/**
+ * Records GitHub API responses to a directory (`sync --record`) or answers
+ * requests from such a recording (`sync --replay`) without touching the
+ * network. Each request is stored as one JSON file keyed by method, URL and
+ * body, so a replayed sync has to send exactly the requests that were
+ * recorded; error responses are recorded and replayed too.
+ */
+export class ApiRecorder {
+  constructor(dir, mode) {
+    if (!['record', 'replay'].includes(mode)) {
+      throw new Error(`Unknown recorder mode '${mode}' (expected record or replay)`);
+    }
+    
+    this.dir = path.resolve(dir);
+    this.mode = mode;
+    this.replaying = mode === 'replay';
+    this.count = 0;
+    
+    if (this.replaying && !fs.existsSync(this.dir)) {
+      throw new Error(`Recording not found: ${this.dir}`);
+    }
+    
+    if (!this.replaying) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+  }
+
+  /**
+   * Method, URL (with query) and body of a request, as the fixture key.
+   * `endpoint` is the Octokit endpoint that turns request options into them.
+   */
+  describeRequest(endpoint, requestOptions) {
+    const { method, url, body } = endpoint.parse(requestOptions);
+    return { method, url, body: body === undefined ? null : body };
+  }
+
+  fixturePath({ method, url, body }) {
+    const { pathname } = new URL(url);
+    const slug = pathname.replace(/^\/+/, '').replace(/[^\w.-]+/g, '_').slice(0, MAX_SLUG_LENGTH);
+    const hash = crypto.createHash('sha1').update(JSON.stringify([method, url, body])).digest('hex').slice(0, 10);
+    
+    return path.join(this.dir, `${method}-${slug}-${hash}.json`);
+  }
+
+  async record(endpoint, requestOptions, send) {
+    const requestInfo = this.describeRequest(endpoint, requestOptions);
+    
+    try {
+      const response = await send();
+      this.save(requestInfo, { status: response.status, headers: response.headers, data: response.data });
+      return response;
+    } catch (error) {
+      // Network errors have no response to replay
+      if (error.response) {
+        this.save(requestInfo, {
+          status: error.status,
+          headers: error.response.headers,
+          data: error.response.data,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+  }
+
+  save(requestInfo, response) {
+    const fixture = { request: requestInfo, response };
+    fs.writeFileSync(this.fixturePath(requestInfo), JSON.stringify(fixture, null, 2));
+    this.count++;
+  }
+
+  async replay(endpoint, requestOptions) {
+    const requestInfo = this.describeRequest(endpoint, requestOptions);
+    const fixturePath = this.fixturePath(requestInfo);
+    
+    if (!fs.existsSync(fixturePath)) {
+      throw new Error(`No recorded response for ${requestInfo.method} ${requestInfo.url} in ${this.dir}`);
+    }
+    
+    const { response } = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    this.count++;
+    
+    if (response.status >= 300) {
+      const error = new Error(response.message || `Recorded response ${response.status}`);
+      error.name = 'HttpError';
+      error.status = response.status;
+      error.response = { url: requestInfo.url, status: response.status, headers: response.headers, data: response.data };
+      throw error;
+    }
+    
+    return { status: response.status, url: requestInfo.url, headers: response.headers, data: response.data };
+  }
+}
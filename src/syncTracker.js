@@ -2,16 +2,20 @@ import fs from 'fs';
 import path from 'path';
 import crypto from 'crypto';
 import { fileURLToPath } from 'url';
-import { ensureDirectoryExists, safeWriteFile } from './utils.js';
+import { ensureDirectoryExists, safeWriteFile, issueMatchesFilters } from './utils.js';
+import { hasLocalNotes } from './localNotes.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const PROJECT_ROOT = path.join(__dirname, '..');
 
 export class SyncTracker {
-  constructor(repositoryConfig) {
+  // kind separates the records of different content types, e.g. 'issues' and 'pulls'
+  constructor(repositoryConfig, kind = 'issues') {
     this.repoConfig = repositoryConfig;
-    this.syncDataPath = path.join(PROJECT_ROOT, '.sync', `${repositoryConfig.owner}-${repositoryConfig.repo}.json`);
+    this.kind = kind;
+    const suffix = kind === 'issues' ? '' : `-${kind}`;
+    this.syncDataPath = path.join(PROJECT_ROOT, '.sync', `${repositoryConfig.owner}-${repositoryConfig.repo}${suffix}.json`);
     this.syncData = this.loadSyncData();
   }
 
@@ -53,13 +57,22 @@ export class SyncTracker {
       assignees: issue.assignees?.map(a => a.login).sort(),
       milestone: issue.milestone?.title,
       // Include comments in hash calculation for change detection
-      comments: issue.comments?.map(c => ({
+      // (the REST API sends a comment count instead when comments weren't fetched)
+      comments: Array.isArray(issue.comments) ? issue.comments.map(c => ({
         id: c.id,
         body: c.body,
         created_at: c.created_at,
         updated_at: c.updated_at,
         user: c.user?.login || 'Unknown'
-      })) || [],
+      })) : [],
+      // Timeline events such as cross-references don't always touch updated_at
+      timeline: Array.isArray(issue.timeline) ? issue.timeline : [],
+      // A closed sub-issue changes how its parent renders
+      hierarchy: Array.isArray(issue.sub_issues) ? this.getHierarchyHashData(issue) : null,
+      // Board moves don't touch updated_at either
+      projectItems: Array.isArray(issue.project_items) ? issue.project_items : null,
+      pullRequest: issue.head ? this.getPullRequestHashData(issue) : null,
+      discussion: issue.category ? this.getDiscussionHashData(issue) : null,
       // Include image processing results in hash calculation
       imageProcessingResult: issue.imageProcessingResult ? {
         imageCount: issue.imageProcessingResult.images?.length || 0,
@@ -72,14 +85,76 @@ export class SyncTracker {
     return crypto.createHash('sha256').update(content).digest('hex');
   }
 
+  getHierarchyHashData(issue) {
+    const hashSubIssue = subIssue => ({
+      number: subIssue.number,
+      repository: subIssue.repository,
+      title: subIssue.title,
+      state: subIssue.state,
+      sub_issues: (subIssue.sub_issues || []).map(hashSubIssue)
+    });
+    
+    return {
+      parent: issue.parent ? { number: issue.parent.number, title: issue.parent.title, state: issue.parent.state } : null,
+      sub_issues: issue.sub_issues.map(hashSubIssue)
+    };
+  }
+
+  // mergeable_state is left out: GitHub computes it lazily, so it flips
+  // between "unknown" and a real state without the pull request changing
+  getPullRequestHashData(pull) {
+    return {
+      draft: pull.draft || false,
+      merged_at: pull.merged_at || null,
+      head: { ref: pull.head.ref, sha: pull.head.sha },
+      base: pull.base?.ref,
+      requested_reviewers: (pull.requested_reviewers || []).map(r => r.login).sort(),
+      reviews: (pull.reviews || []).map(r => ({
+        id: r.id,
+        state: r.state,
+        body: r.body,
+        submitted_at: r.submitted_at
+      })),
+      review_comments: (pull.review_comments || []).map(c => ({
+        id: c.id,
+        body: c.body,
+        updated_at: c.updated_at
+      }))
+    };
+  }
+
+  getDiscussionHashData(discussion) {
+    const hashComment = comment => ({
+      id: comment.id,
+      body: comment.body,
+      updated_at: comment.updated_at,
+      upvote_count: comment.upvote_count,
+      is_answer: comment.is_answer,
+      replies: (comment.replies || []).map(hashComment)
+    });
+    
+    return {
+      category: discussion.category.slug,
+      upvote_count: discussion.upvote_count,
+      is_answered: discussion.is_answered,
+      comments: (discussion.comments || []).map(hashComment)
+    };
+  }
+
   needsUpdate(issue) {
     const issueKey = issue.number.toString();
-    const currentHash = this.generateIssueHash(issue);
     
     if (!this.syncData.issues[issueKey]) {
       return { needed: true, reason: 'new' };
     }
     
+    // Restored from sync data, so by definition identical to what was written
+    if (issue._syncSnapshot) {
+      return { needed: false, reason: 'unchanged' };
+    }
+    
+    const currentHash = this.generateIssueHash(issue);
+    
     const storedHash = this.syncData.issues[issueKey].hash;
     if (storedHash !== currentHash) {
       return { needed: true, reason: 'updated' };
@@ -95,11 +170,154 @@ export class SyncTracker {
     this.syncData.issues[issueKey] = {
       hash,
       filePath,
+      // Lets `gis push` tell which files were edited since they were written
+      fileHash: this.hashFile(filePath),
       lastProcessed: new Date().toISOString(),
-      state: issue.state
+      state: issue.state,
+      snapshot: this.createSnapshot(issue)
     };
   }
 
+  hashFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+  }
+
+  /**
+   * Whether the file of a tracked issue changed since sync last wrote it.
+   */
+  hasLocalChanges(issueNumber) {
+    const issueData = this.getIssueData(issueNumber);
+    if (!issueData || !fs.existsSync(issueData.filePath)) {
+      return false;
+    }
+    return !issueData.fileHash || this.hashFile(issueData.filePath) !== issueData.fileHash;
+  }
+
+  /**
+   * After a push the issue on GitHub matches the local file again.
+   */
+  markIssuePushed(issue) {
+    const issueData = this.getIssueData(issue.number);
+    if (issueData) {
+      issueData.snapshot = this.createSnapshot(issue);
+      issueData.fileHash = this.hashFile(issueData.filePath);
+    }
+  }
+
+  updateFilePath(issueNumber, filePath) {
+    const issueData = this.getIssueData(issueNumber);
+    if (issueData) {
+      issueData.filePath = filePath;
+    }
+  }
+
+  /**
+   * Compact copy of the fields needed to categorize, filter and index an issue
+   * that was not fetched again during an incremental sync.
+   */
+  createSnapshot(issue) {
+    const snapshot = {
+      number: issue.number,
+      title: issue.title,
+      // Categorization rules may match on the body
+      body: issue.body || null,
+      state: issue.state,
+      state_reason: issue.state_reason || null,
+      html_url: issue.html_url,
+      created_at: issue.created_at,
+      updated_at: issue.updated_at,
+      closed_at: issue.closed_at || null,
+      user: issue.user ? { login: issue.user.login } : null,
+      labels: (issue.labels || []).map(label => ({ name: label.name })),
+      assignees: (issue.assignees || []).map(assignee => ({ login: assignee.login })),
+      milestone: issue.milestone ? { title: issue.milestone.title, state: issue.milestone.state } : null
+    };
+    
+    if (Array.isArray(issue.project_items)) {
+      snapshot.project_items = issue.project_items;
+    }
+    
+    if (issue.head) {
+      Object.assign(snapshot, {
+        draft: issue.draft || false,
+        merged_at: issue.merged_at || null,
+        head: { ref: issue.head.ref, label: issue.head.label },
+        base: { ref: issue.base?.ref }
+      });
+    }
+    
+    if (issue.category) {
+      Object.assign(snapshot, {
+        category: { name: issue.category.name, slug: issue.category.slug },
+        upvote_count: issue.upvote_count || 0,
+        is_answered: issue.is_answered || false
+      });
+    }
+    
+    return snapshot;
+  }
+
+  refreshSnapshot(issue) {
+    const issueData = this.syncData.issues[issue.number.toString()];
+    if (issueData && !issue._syncSnapshot) {
+      issueData.snapshot = this.createSnapshot(issue);
+    }
+  }
+
+  hasSnapshots() {
+    return Object.values(this.syncData.issues).every(issueData => issueData.snapshot);
+  }
+
+  /**
+   * Combine issues changed since the last sync with the snapshots of every
+   * other known issue. Changed issues that no longer match the filters are
+   * left out, so the regular deletion detection removes their files.
+   */
+  mergeIncrementalIssues(changedIssues, filters) {
+    const merged = new Map();
+    
+    for (const [issueNumber, issueData] of Object.entries(this.syncData.issues)) {
+      merged.set(issueNumber, { ...issueData.snapshot, _syncSnapshot: true });
+    }
+    
+    for (const issue of changedIssues) {
+      const issueKey = issue.number.toString();
+      if (issueMatchesFilters(issue, filters)) {
+        merged.set(issueKey, issue);
+      } else {
+        merged.delete(issueKey);
+      }
+    }
+    
+    return [...merged.values()];
+  }
+
+  generateFiltersHash(filters) {
+    const content = JSON.stringify(filters, Object.keys(filters).sort());
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * Decide whether the next fetch can be limited to issues updated since the
+   * last sync. Deleted and transferred issues never show up in such a fetch,
+   * so a full reconciliation runs at least every `reconcileIntervalHours`.
+   */
+  canFetchIncrementally(filters, reconcileIntervalHours) {
+    if (!this.syncData.lastSync || !this.syncData.lastFullSync) {
+      return false;
+    }
+    
+    if (this.syncData.filtersHash !== this.generateFiltersHash(filters) || !this.hasSnapshots()) {
+      return false;
+    }
+    
+    const sinceFullSync = Date.now() - new Date(this.syncData.lastFullSync).getTime();
+    return sinceFullSync < reconcileIntervalHours * 60 * 60 * 1000;
+  }
+
   getChangedIssues(issues) {
     const result = {
       new: [],
@@ -112,6 +330,8 @@ export class SyncTracker {
     
     // Check for new and updated issues
     for (const issue of issues) {
+      this.restoreKeptFile(issue.number);
+      
       const updateCheck = this.needsUpdate(issue);
       
       if (updateCheck.reason === 'new') {
@@ -143,8 +363,13 @@ export class SyncTracker {
     for (const deleted of deletedIssues) {
       try {
         if (fs.existsSync(deleted.filePath)) {
-          fs.unlinkSync(deleted.filePath);
-          cleanedFiles.push(deleted.filePath);
+          if (hasLocalNotes(fs.readFileSync(deleted.filePath, 'utf8'))) {
+            console.warn(`Warning: Keeping ${deleted.filePath}, it has local notes`);
+            this.keepFile(deleted);
+          } else {
+            fs.unlinkSync(deleted.filePath);
+            cleanedFiles.push(deleted.filePath);
+          }
         }
         
         // Remove from sync data
@@ -157,8 +382,64 @@ export class SyncTracker {
     return cleanedFiles;
   }
 
-  updateLastSyncTime() {
-    this.syncData.lastSync = new Date().toISOString();
+  /**
+   * Remember the file of a deleted issue that was kept for its local notes,
+   * so `status` and `reorganize` still know it and the issue takes it over
+   * again if it comes back.
+   */
+  keepFile(deleted) {
+    const kept = (this.syncData.deletedIssues || []).filter(entry => entry.number !== deleted.number);
+    kept.push({
+      number: deleted.number,
+      filePath: deleted.filePath,
+      state: deleted.lastState,
+      deletedAt: new Date().toISOString()
+    });
+    this.syncData.deletedIssues = kept;
+  }
+
+  /**
+   * Kept files of deleted issues that are still on disk.
+   */
+  getKeptFiles() {
+    return (this.syncData.deletedIssues || []).filter(entry => fs.existsSync(entry.filePath));
+  }
+
+  // An issue that shows up again (transferred back, filters changed) is
+  // tracked at its kept file, so the next write moves it and keeps the notes
+  restoreKeptFile(issueNumber) {
+    const kept = (this.syncData.deletedIssues || []).find(entry => entry.number === issueNumber);
+    if (!kept) {
+      return;
+    }
+    
+    this.syncData.deletedIssues = this.syncData.deletedIssues.filter(entry => entry !== kept);
+    
+    const issueKey = issueNumber.toString();
+    if (!this.syncData.issues[issueKey] && fs.existsSync(kept.filePath)) {
+      this.syncData.issues[issueKey] = {
+        hash: null,
+        filePath: kept.filePath,
+        fileHash: null,
+        lastProcessed: null,
+        state: kept.state,
+        snapshot: null
+      };
+    }
+  }
+
+  updateLastSyncTime(fetchInfo = {}) {
+    // Use the time the fetch started so updates made during the sync are picked up next time
+    const syncTime = fetchInfo.startedAt || new Date().toISOString();
+    this.syncData.lastSync = syncTime;
+    
+    if (fetchInfo.full) {
+      this.syncData.lastFullSync = syncTime;
+    }
+    
+    if (fetchInfo.filters) {
+      this.syncData.filtersHash = this.generateFiltersHash(fetchInfo.filters);
+    }
   }
 
   getLastSyncTime() {
@@ -184,6 +465,10 @@ export class SyncTracker {
     return this.syncData.issues[issueNumber.toString()] || null;
   }
 
+  getTrackedIssueNumbers() {
+    return Object.keys(this.syncData.issues).map(Number);
+  }
+
   reset() {
     this.syncData = {
       lastSync: null,
@@ -0,0 +1,43 @@
+/**
+ * Runs async tasks with at most `concurrency` of them in flight. One pool is
+ * shared by every repository of a sync, so comment fetches, image downloads
+ * and list fetches of all repositories draw on the same budget; when each
+ * request may start is still up to the rate limit scheduler.
+ *
+ * Tasks must not wait on other tasks of the same pool, or they can hold
+ * every slot while waiting.
+ */
+export class TaskPool {
+  constructor(concurrency = 2) {
+    this.concurrency = Math.max(1, concurrency);
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  async run(task) {
+    if (this.active < this.concurrency) {
+      this.active++;
+    } else {
+      // The finishing task hands its slot over directly
+      await new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    try {
+      return await task();
+    } finally {
+      const next = this.waiting.shift();
+      if (next) {
+        next();
+      } else {
+        this.active--;
+      }
+    }
+  }
+
+  /**
+   * `fn` for every item through the pool; results keep the order of `items`.
+   */
+  map(items, fn) {
+    return Promise.all(items.map((item, index) => this.run(() => fn(item, index))));
+  }
+}
@@ -0,0 +1,150 @@
+// Issue timeline normalization.
+// GitHub's timeline mixes comments, reviews and state changes in different
+// shapes; these helpers reduce the events we keep to a flat, typed list.
+
+// Comments and reviews are synced separately, everything else is noise
+export const TIMELINE_EVENT_TYPES = [
+  'closed',
+  'reopened',
+  'labeled',
+  'unlabeled',
+  'assigned',
+  'unassigned',
+  'milestoned',
+  'demilestoned',
+  'renamed',
+  'cross-referenced',
+  'referenced',
+  'merged',
+  'locked',
+  'unlocked',
+  'transferred',
+  'marked_as_duplicate',
+  'converted_to_discussion'
+];
+
+// Commit API URLs look like <api>/repos/<owner>/<repo>/commits/<sha>
+function commitWebUrl(commitUrl, webUrl) {
+  const match = commitUrl?.match(/\/repos\/([^/]+)\/([^/]+)\/commits\/([0-9a-f]+)$/);
+  return match ? `${webUrl}/${match[1]}/${match[2]}/commit/${match[3]}` : null;
+}
+
+export function normalizeTimelineEvent(event, webUrl = 'https://github.com') {
+  const type = event.event;
+  if (!TIMELINE_EVENT_TYPES.includes(type)) {
+    return null;
+  }
+
+  const normalized = {
+    type,
+    actor: event.actor?.login || null,
+    created_at: event.created_at
+  };
+
+  switch (type) {
+  case 'closed':
+  case 'reopened':
+    normalized.state_reason = event.state_reason || null;
+    normalized.commit_id = event.commit_id || null;
+    break;
+  case 'labeled':
+  case 'unlabeled':
+    normalized.label = event.label?.name || null;
+    break;
+  case 'assigned':
+  case 'unassigned':
+    normalized.assignee = event.assignee?.login || null;
+    break;
+  case 'milestoned':
+  case 'demilestoned':
+    normalized.milestone = event.milestone?.title || null;
+    break;
+  case 'renamed':
+    normalized.from = event.rename?.from || null;
+    normalized.to = event.rename?.to || null;
+    break;
+  case 'cross-referenced': {
+    const source = event.source?.issue;
+    normalized.source = source ? {
+      kind: source.pull_request ? 'pull_request' : 'issue',
+      number: source.number,
+      title: source.title,
+      state: source.state,
+      html_url: source.html_url,
+      repository: source.repository?.full_name || null
+    } : null;
+    break;
+  }
+  case 'referenced':
+  case 'merged':
+    normalized.commit_id = event.commit_id || null;
+    normalized.commit_url = commitWebUrl(event.commit_url, webUrl);
+    break;
+  }
+
+  return normalized;
+}
+
+export function normalizeTimeline(events, options = {}) {
+  const { types = [], webUrl } = options;
+
+  return events
+    .map(event => normalizeTimelineEvent(event, webUrl))
+    .filter(event => event && (types.length === 0 || types.includes(event.type)))
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+}
+
+/**
+ * One markdown line for the History section, e.g. "@alice added label `blocked`".
+ */
+export function describeTimelineEvent(event) {
+  const actor = event.actor ? `@${event.actor}` : 'Someone';
+  const commit = event.commit_id ? ` in \`${event.commit_id.slice(0, 7)}\`` : '';
+
+  switch (event.type) {
+  case 'closed':
+    return `${actor} closed this${event.state_reason ? ` as ${event.state_reason.replace(/_/g, ' ')}` : ''}${commit}`;
+  case 'reopened':
+    return `${actor} reopened this`;
+  case 'labeled':
+    return `${actor} added label \`${event.label}\``;
+  case 'unlabeled':
+    return `${actor} removed label \`${event.label}\``;
+  case 'assigned':
+    return event.assignee === event.actor ? `${actor} self-assigned this` : `${actor} assigned @${event.assignee}`;
+  case 'unassigned':
+    return `${actor} unassigned @${event.assignee}`;
+  case 'milestoned':
+    return `${actor} added this to milestone ${event.milestone}`;
+  case 'demilestoned':
+    return `${actor} removed this from milestone ${event.milestone}`;
+  case 'renamed':
+    return `${actor} changed the title from "${event.from}" to "${event.to}"`;
+  case 'cross-referenced': {
+    if (!event.source) {
+      return `${actor} mentioned this`;
+    }
+    const kind = event.source.kind === 'pull_request' ? 'pull request' : 'issue';
+    const reference = `${event.source.repository || ''}#${event.source.number}`;
+    return `${actor} mentioned this in ${kind} [${reference}](${event.source.html_url}) ${event.source.title}`;
+  }
+  case 'referenced':
+    return event.commit_url
+      ? `${actor} referenced this in commit [\`${event.commit_id.slice(0, 7)}\`](${event.commit_url})`
+      : `${actor} referenced this in a commit`;
+  case 'merged':
+    return `${actor} merged this${commit}`;
+  case 'locked':
+    return `${actor} locked the conversation`;
+  case 'unlocked':
+    return `${actor} unlocked the conversation`;
+  case 'transferred':
+    return `${actor} transferred this issue`;
+  case 'marked_as_duplicate':
+    return `${actor} marked this as a duplicate`;
+  case 'converted_to_discussion':
+    return `${actor} converted this issue into a discussion`;
+  default:
+    return `${actor} ${event.type.replace(/_/g, ' ')}`;
+  }
+}
@@ -0,0 +1,101 @@
+// Latin transliteration for slugs.
+// Accented Latin letters lose their marks and kana are romanized (Hepburn);
+// scripts without a simple mapping (kanji, Hangul, Cyrillic, Greek, ...) pass
+// through unchanged, marks included.
+
+// Letters that don't decompose into a base letter plus marks
+const LATIN_LETTERS = {
+  ß: 'ss',
+  æ: 'ae',
+  œ: 'oe',
+  ø: 'o',
+  ł: 'l',
+  đ: 'd',
+  ð: 'd',
+  þ: 'th',
+  ı: 'i'
+};
+
+const KANA = {
+  あ: 'a', い: 'i', う: 'u', え: 'e', お: 'o',
+  か: 'ka', き: 'ki', く: 'ku', け: 'ke', こ: 'ko',
+  が: 'ga', ぎ: 'gi', ぐ: 'gu', げ: 'ge', ご: 'go',
+  さ: 'sa', し: 'shi', す: 'su', せ: 'se', そ: 'so',
+  ざ: 'za', じ: 'ji', ず: 'zu', ぜ: 'ze', ぞ: 'zo',
+  た: 'ta', ち: 'chi', つ: 'tsu', て: 'te', と: 'to',
+  だ: 'da', ぢ: 'ji', づ: 'zu', で: 'de', ど: 'do',
+  な: 'na', に: 'ni', ぬ: 'nu', ね: 'ne', の: 'no',
+  は: 'ha', ひ: 'hi', ふ: 'fu', へ: 'he', ほ: 'ho',
+  ば: 'ba', び: 'bi', ぶ: 'bu', べ: 'be', ぼ: 'bo',
+  ぱ: 'pa', ぴ: 'pi', ぷ: 'pu', ぺ: 'pe', ぽ: 'po',
+  ま: 'ma', み: 'mi', む: 'mu', め: 'me', も: 'mo',
+  や: 'ya', ゆ: 'yu', よ: 'yo',
+  ら: 'ra', り: 'ri', る: 'ru', れ: 're', ろ: 'ro',
+  わ: 'wa', ゐ: 'i', ゑ: 'e', を: 'o', ん: 'n', ゔ: 'vu',
+  ぁ: 'a', ぃ: 'i', ぅ: 'u', ぇ: 'e', ぉ: 'o', ゃ: 'ya', ゅ: 'yu', ょ: 'yo', ゎ: 'wa'
+};
+
+// Small ya/yu/yo merge with the preceding syllable: き + ゃ -> kya, し + ゃ -> sha
+const YOON = { ゃ: 'a', ゅ: 'u', ょ: 'o' };
+// Small vowels replace the preceding vowel in loanwords: チ + ェ -> che, フ + ァ -> fa
+const SMALL_VOWELS = { ぁ: 'a', ぃ: 'i', ぅ: 'u', ぇ: 'e', ぉ: 'o' };
+
+// Katakana shares the hiragana layout, 0x60 code points higher
+function toHiragana(char) {
+  const code = char.charCodeAt(0);
+  return code >= 0x30a1 && code <= 0x30f6 ? String.fromCharCode(code - 0x60) : char;
+}
+
+function romanizeKana(text) {
+  const chars = Array.from(text).map(toHiragana);
+  let result = '';
+  let doubleNext = false;
+
+  for (let i = 0; i < chars.length; i++) {
+    const char = chars[i];
+
+    // Small tsu doubles the next consonant: きっと -> kitto
+    if (char === 'っ') {
+      doubleNext = true;
+      continue;
+    }
+
+    let romaji = KANA[char];
+    if (romaji === undefined) {
+      // The long vowel mark is dropped, everything else is left as is
+      result += char === 'ー' ? '' : char;
+      doubleNext = false;
+      continue;
+    }
+
+    const small = YOON[chars[i + 1]];
+    const vowel = SMALL_VOWELS[chars[i + 1]];
+    if (small && romaji.endsWith('i') && romaji.length > 1) {
+      romaji = /(sh|ch|j)i$/.test(romaji) ? `${romaji.slice(0, -1)}${small}` : `${romaji.slice(0, -1)}y${small}`;
+      i++;
+    } else if (vowel) {
+      romaji = romaji === 'u' ? `w${vowel}` : `${romaji.slice(0, -1)}${vowel}`;
+      i++;
+    }
+
+    if (doubleNext) {
+      romaji = romaji.startsWith('ch') ? `t${romaji}` : `${romaji[0]}${romaji}`;
+      doubleNext = false;
+    }
+
+    result += romaji;
+  }
+
+  return result;
+}
+
+export function transliterate(text) {
+  // NFKC first so voiced kana stay composed (が, not か + mark) and half-width kana widen
+  return romanizeKana(text.normalize('NFKC'))
+    .normalize('NFKD')
+    .replace(/(\p{Script=Latin})\p{M}+/gu, '$1')
+    .replace(/[ßæœøłđðþı]/gi, char => {
+      const replacement = LATIN_LETTERS[char.toLowerCase()];
+      return char === char.toLowerCase() ? replacement : replacement.toUpperCase();
+    });
+}
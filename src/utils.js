@@ -1,20 +1,90 @@
 import fs from 'fs';
 import path from 'path';
+import { Categorizer } from './categorizer.js';
+import { transliterate } from './transliterate.js';
+import { hasLocalNotes } from './localNotes.js';
 
-export function createSlug(title) {
+export const SLUG_STRATEGIES = ['ascii', 'unicode', 'transliterate'];
+export const DEFAULT_SLUG_MAX_LENGTH = null;
+
+// "a, b" or [a, b] -> ['a', 'b'], without blanks
+export function toList(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+// Names Windows refuses for files and folders, with or without an extension
+const WINDOWS_RESERVED_NAMES = /^(con|prn|aux|nul|com[0-9]|lpt[0-9])(\..*)?$/i;
+
+/**
+ * Slug for a title. `ascii` keeps [a-z0-9], `unicode` keeps letters and
+ * digits of any script and `transliterate` converts accented Latin letters
+ * and kana to Latin first, keeping other scripts as they are.
+ */
+export function createSlug(title, options = {}) {
+  const { strategy = 'ascii', maxLength = DEFAULT_SLUG_MAX_LENGTH } = options;
+  
   if (!title || typeof title !== 'string') {
     return 'issue';
   }
   
-  const slug = title
-    .toLowerCase()
-    .replace(/[^a-z0-9\s-]/g, '')
+  // Words left in other scripts (kanji) are kept as words of their own instead of gluing onto their neighbours
+  let text = strategy === 'transliterate' ? transliterate(title).replace(/[^\p{ASCII}]+/gu, ' $& ') : title;
+  
+  // NFC keeps names stable on filesystems that store decomposed characters (macOS)
+  text = text.normalize('NFC').toLowerCase();
+  
+  const slug = (strategy === 'ascii' ? text.replace(/[^a-z0-9\s-]/g, '') : text.replace(/[^\p{L}\p{M}\p{N}\s-]/gu, ''))
     .replace(/\s+/g, '-')
     .replace(/-+/g, '-')
     .replace(/^-|-$/g, '');
   
   // If slug is empty (e.g., for non-ASCII characters), use a fallback
-  return slug || 'issue';
+  return truncateSlug(slug, maxLength) || 'issue';
+}
+
+// Cut at a word boundary where possible, never inside a character. The limit
+// counts UTF-8 bytes, which is what filesystems limit file names by.
+function truncateSlug(slug, maxBytes) {
+  if (!maxBytes || Buffer.byteLength(slug) <= maxBytes) {
+    return slug;
+  }
+  
+  let truncated = '';
+  let bytes = 0;
+  for (const char of slug) {
+    bytes += Buffer.byteLength(char);
+    if (bytes > maxBytes) {
+      break;
+    }
+    truncated += char;
+  }
+  
+  const lastHyphen = truncated.lastIndexOf('-');
+  return (lastHyphen > truncated.length / 2 ? truncated.slice(0, lastHyphen) : truncated).replace(/-+$/, '');
+}
+
+/**
+ * A file or folder name that is valid on Windows, macOS and Linux: reserved
+ * characters are replaced and reserved device names get a trailing "_".
+ */
+export function safePathSegment(name, fallback = 'none') {
+  const segment = String(name)
+    .normalize('NFC')
+    .replace(/[\\/:*?"<>|\p{Cc}]/gu, '-')
+    .replace(/[. ]+$/, '')
+    .trim();
+  
+  if (!segment) {
+    return fallback;
+  }
+  
+  return WINDOWS_RESERVED_NAMES.test(segment) ? segment.replace(/^[^.]+/, '$&_') : segment;
 }
 
 export function ensureDirectoryExists(dirPath) {
@@ -23,51 +93,170 @@ export function ensureDirectoryExists(dirPath) {
   }
 }
 
-export function generateFilename(issue) {
+export const DEFAULT_FILENAME_PATTERN = '{number}-{slug}';
+export const FILENAME_TOKENS = ['number', 'slug', 'state', 'author', 'milestone', 'created', 'updated', 'closed'];
+
+// Dates in filenames use UTC so they don't depend on the machine running the sync
+function formatFilenameDate(dateString, format) {
+  if (!dateString) {
+    return 'none';
+  }
+  
+  const iso = new Date(dateString).toISOString();
+  return format
+    .replace('YYYY', iso.slice(0, 4))
+    .replace('MM', iso.slice(5, 7))
+    .replace('DD', iso.slice(8, 10))
+    .replace('HH', iso.slice(11, 13))
+    .replace('mm', iso.slice(14, 16));
+}
+
+/**
+ * Filename for an issue from a pattern such as "{number}-{slug}". Date
+ * tokens take an optional format: {created:YYYY-MM-DD}, {closed:YYYY}.
+ * `slugOptions` are passed on to createSlug.
+ */
+export function generateFilename(issue, pattern = DEFAULT_FILENAME_PATTERN, slugOptions = {}) {
   if (!issue || !issue.number) {
     return 'unknown-issue.md';
   }
   
-  const slug = createSlug(issue.title || 'untitled');
-  return `${issue.number}-${slug}.md`;
+  const name = pattern.replace(/\{(\w+)(?::([^}]+))?\}/g, (token, key, format = 'YYYY-MM-DD') => {
+    switch (key) {
+    case 'number':
+      return String(issue.number);
+    case 'slug':
+      return createSlug(issue.title || 'untitled', slugOptions);
+    case 'state':
+      return issue.state || 'unknown';
+    case 'author':
+      return createSlug(issue.user?.login || 'unknown', slugOptions);
+    case 'milestone':
+      return issue.milestone ? createSlug(issue.milestone.title, slugOptions) : 'no-milestone';
+    case 'created':
+    case 'updated':
+    case 'closed':
+      return formatFilenameDate(issue[`${key}_at`], format);
+    default:
+      return token;
+    }
+  });
+  
+  return `${safePathSegment(name, String(issue.number))}.md`;
 }
 
-export function formatDate(dateString) {
-  const date = new Date(dateString);
-  return date.toLocaleDateString('ja-JP', {
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit'
-  });
+/**
+ * Regex recognising filenames generated from `pattern`, capturing the issue number.
+ */
+export function createFilenameMatcher(pattern = DEFAULT_FILENAME_PATTERN) {
+  const source = pattern
+    .split(/(\{\w+(?::[^}]+)?\})/)
+    .map(part => {
+      if (part === '{number}') return '(\\d+)';
+      if (/^\{\w+(?::[^}]+)?\}$/.test(part)) return '.+?';
+      return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}\\.md$`);
 }
 
-export function categorizeIssuesByState(issues) {
-  const categories = {
-    active: [],
-    todo: [],
-    done: [],
-    blocked: []
-  };
+/**
+ * Group issues by the folder the categorization rules assign them to.
+ */
+export function categorizeIssuesByState(issues, categorizer = new Categorizer()) {
+  const categories = Object.fromEntries(categorizer.getFolders().map(folder => [folder, []]));
 
   issues.forEach(issue => {
-    if (issue.state === 'closed') {
-      categories.done.push(issue);
-    } else if (issue.labels.some(label => label.name.toLowerCase().includes('blocked'))) {
-      categories.blocked.push(issue);
-    } else if (issue.labels.some(label => label.name.toLowerCase().includes('in progress') || 
-                                         label.name.toLowerCase().includes('active'))) {
-      categories.active.push(issue);
-    } else {
-      categories.todo.push(issue);
-    }
+    const folder = categorizer.categorize(issue);
+    (categories[folder] = categories[folder] || []).push(issue);
   });
 
   return categories;
 }
 
-export function cleanDirectory(dirPath) {
+/**
+ * Check an issue against the config.filters vocabulary without calling the API.
+ * `mentioned` and custom `query` filters can't be evaluated locally and are ignored.
+ */
+export function issueMatchesFilters(issue, filters = {}) {
+  const {
+    state = 'open',
+    labels = [],
+    label_mode = 'any',
+    exclude_labels = [],
+    assignee = null,
+    creator = null,
+    since = null,
+    until = null
+  } = filters;
+
+  if (state && state !== 'all' && issue.state !== state) {
+    return false;
+  }
+
+  const issueLabels = (issue.labels || []).map(label => (typeof label === 'string' ? label : label.name));
+
+  if (labels.length > 0) {
+    if (label_mode === 'all' && !labels.every(label => issueLabels.includes(label))) {
+      return false;
+    }
+    if (label_mode === 'any' && !labels.some(label => issueLabels.includes(label))) {
+      return false;
+    }
+    if (label_mode === 'none' && labels.some(label => issueLabels.includes(label))) {
+      return false;
+    }
+  }
+
+  if (exclude_labels.some(label => issueLabels.includes(label))) {
+    return false;
+  }
+
+  const assignees = (issue.assignees || []).map(a => a.login);
+  if (assignee === 'none' && assignees.length > 0) {
+    return false;
+  }
+  if (assignee && assignee !== 'none' && assignee !== '*' && !assignees.includes(assignee)) {
+    return false;
+  }
+
+  if (creator && issue.user?.login !== creator) {
+    return false;
+  }
+
+  const updatedAt = new Date(issue.updated_at).getTime();
+  if (since && updatedAt < new Date(since).getTime()) {
+    return false;
+  }
+  if (until && updatedAt > new Date(until).getTime()) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Check a discussion against the `discussions.categories` list (names or slugs).
+ */
+export function discussionMatchesCategories(discussion, categories = []) {
+  if (!categories || categories.length === 0) {
+    return true;
+  }
+
+  const { name, slug } = discussion.category || {};
+  return categories.some(category => category === slug || category === name);
+}
+
+/**
+ * Value of a Projects (v2) field such as "Status" from the first project of
+ * the issue that sets it, or null.
+ */
+export function getProjectFieldValue(issue, fieldName) {
+  const item = (issue.project_items || []).find(projectItem => projectItem.fields[fieldName] !== undefined);
+  return item ? item.fields[fieldName] : null;
+}
+
+export function cleanDirectory(dirPath, keep = []) {
   if (!fs.existsSync(dirPath)) {
     return;
   }
@@ -77,9 +266,16 @@ export function cleanDirectory(dirPath) {
     const filePath = path.join(dirPath, file);
     const stat = fs.statSync(filePath);
     
-    if (stat.isDirectory()) {
+    if (keep.includes(file)) {
+      return;
+    } else if (stat.isDirectory()) {
       cleanDirectory(filePath);
-      fs.rmdirSync(filePath);
+      if (fs.readdirSync(filePath).length === 0) {
+        fs.rmdirSync(filePath);
+      }
+    } else if (file.endsWith('.md') && hasLocalNotes(fs.readFileSync(filePath, 'utf8'))) {
+      // Kept so the next write can carry the notes over
+      return;
     } else if (file !== '.gitkeep') {
       fs.unlinkSync(filePath);
     }
@@ -116,13 +312,27 @@ export function truncateString(str, maxLength) {
   return str.substring(0, maxLength - 3) + '...';
 }
 
-export function isValidGitHubUrl(url) {
-  const githubUrlPattern = /^https:\/\/github\.com\/[\w.-]+\/[\w.-]+\/issues\/\d+$/;
+export function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Shell-style wildcards: * matches any run of characters, ? a single one.
+// Case-insensitive, like GitHub owner and repository names.
+export function matchesGlob(name, pattern) {
+  const source = String(pattern)
+    .split('*')
+    .map(part => part.split('?').map(escapeRegExp).join('.'))
+    .join('.*');
+  return new RegExp(`^${source}$`, 'i').test(name);
+}
+
+export function isValidGitHubUrl(url, webUrl = 'https://github.com') {
+  const githubUrlPattern = new RegExp(`^${escapeRegExp(webUrl)}/[\\w.-]+/[\\w.-]+/issues/\\d+$`);
   return githubUrlPattern.test(url);
 }
 
-export function parseGitHubUrl(url) {
-  const match = url.match(/^https:\/\/github\.com\/([\w.-]+)\/([\w.-]+)\/issues\/(\d+)$/);
+export function parseGitHubUrl(url, webUrl = 'https://github.com') {
+  const match = url.match(new RegExp(`^${escapeRegExp(webUrl)}/([\\w.-]+)/([\\w.-]+)/issues/(\\d+)$`));
   if (!match) {
     throw new Error('Invalid GitHub issue URL');
   }
@@ -0,0 +1,85 @@
+import { parseBulkActions, describeBulkActions, planBulkUpdate } from '../src/bulk.js';
+
+const actions = overrides => ({
+  addLabels: [],
+  removeLabels: [],
+  assign: [],
+  unassign: [],
+  close: null,
+  milestone: null,
+  ...overrides
+});
+
+const issue = {
+  number: 5,
+  state: 'open',
+  labels: [{ name: 'bug' }, { name: 'triage' }],
+  assignees: [{ login: 'alice' }],
+  milestone: { number: 1, title: 'v1' }
+};
+
+describe('parseBulkActions', () => {
+  test('splits comma-separated lists and strips "@"', () => {
+    expect(parseBulkActions({ addLabels: 'p1, docs', assign: '@bob,carol', milestone: 'v2' })).toEqual(actions({
+      addLabels: ['p1', 'docs'],
+      assign: ['bob', 'carol'],
+      milestone: 'v2'
+    }));
+  });
+
+  test('closes as completed by default', () => {
+    expect(parseBulkActions({ close: true }).close).toBe('completed');
+    expect(parseBulkActions({ close: 'not_planned' }).close).toBe('not_planned');
+  });
+
+  test('rejects unknown close reasons', () => {
+    expect(() => parseBulkActions({ close: 'duplicate' })).toThrow("Invalid close reason 'duplicate'");
+  });
+
+  test('needs at least one action', () => {
+    expect(() => parseBulkActions({ addLabels: '' })).toThrow('No action given');
+  });
+});
+
+describe('describeBulkActions', () => {
+  test('lists every action', () => {
+    expect(describeBulkActions(actions({ addLabels: ['p1'], unassign: ['alice'], close: 'completed', milestone: 'none' }))).toEqual([
+      '+label p1',
+      '-assignee @alice',
+      'close (completed)',
+      'milestone none'
+    ]);
+  });
+});
+
+describe('planBulkUpdate', () => {
+  test('applies label and assignee changes to the current lists', () => {
+    const plan = planBulkUpdate(issue, actions({ addLabels: ['p1', 'bug'], removeLabels: ['triage'], assign: ['bob'] }));
+
+    expect(plan.update).toEqual({ labels: ['bug', 'p1'], assignees: ['alice', 'bob'] });
+    expect(plan.changes).toEqual(['labels +p1 -triage', 'assignees +@bob']);
+  });
+
+  test('returns null when nothing changes', () => {
+    expect(planBulkUpdate(issue, actions({ addLabels: ['bug'], unassign: ['nobody'] }))).toBeNull();
+  });
+
+  test('closes open issues with the reason', () => {
+    const plan = planBulkUpdate(issue, actions({ close: 'not_planned' }));
+
+    expect(plan.update).toEqual({ state: 'closed', state_reason: 'not_planned' });
+    expect(planBulkUpdate({ ...issue, state: 'closed' }, actions({ close: 'completed' }))).toBeNull();
+  });
+
+  test('sets and clears the milestone', () => {
+    expect(planBulkUpdate(issue, actions({ milestone: 'v2' }), 2)).toEqual({ update: { milestone: 2 }, changes: ['milestone v2'] });
+    expect(planBulkUpdate(issue, actions({ milestone: 'none' }), null)).toEqual({ update: { milestone: null }, changes: ['milestone removed'] });
+    expect(planBulkUpdate(issue, actions({ milestone: 'v1' }), 1)).toBeNull();
+  });
+
+  test('accepts labels given as names', () => {
+    const plan = planBulkUpdate({ ...issue, labels: ['bug'] }, actions({ removeLabels: ['bug'] }));
+
+    expect(plan.update.labels).toEqual([]);
+  });
+});
@@ -0,0 +1,78 @@
+import { Categorizer } from '../src/categorizer.js';
+
+const issue = (extra = {}) => ({
+  number: 1,
+  title: 'Something',
+  body: '',
+  state: 'open',
+  labels: [],
+  assignees: [],
+  milestone: null,
+  ...extra
+});
+const labels = (...names) => names.map(name => ({ name }));
+
+describe('Categorizer', () => {
+  describe('without rules', () => {
+    const categorizer = new Categorizer();
+
+    test('keeps the original label heuristics', () => {
+      expect(categorizer.categorize(issue({ state: 'closed', labels: labels('blocked') }))).toBe('done');
+      expect(categorizer.categorize(issue({ labels: labels('Blocked') }))).toBe('blocked');
+      expect(categorizer.categorize(issue({ labels: labels('in progress') }))).toBe('active');
+      expect(categorizer.categorize(issue())).toBe('todo');
+    });
+
+    test('lists the original folders', () => {
+      expect(categorizer.getFolders()).toEqual(['active', 'todo', 'done', 'blocked']);
+      expect(categorizer.getFolderName('done')).toBe('Recently Completed');
+    });
+  });
+
+  describe('with rules', () => {
+    const categorizer = new Categorizer({
+      default: 'inbox',
+      rules: [
+        { folder: 'wontfix', state: 'closed', state_reason: 'not_planned', name: 'Not Planned' },
+        { folder: 'archive', state: 'closed' },
+        { folder: 'bugs', labels: ['bug', 'regression'] },
+        { folder: 'release', milestone: '*' },
+        { folder: 'unassigned', assignee: 'none', title_pattern: '^\\[triage\\]' },
+        { folder: 'security', body_pattern: 'CVE-\\d+' }
+      ]
+    });
+
+    test('uses the first matching rule', () => {
+      const closed = issue({ state: 'closed', state_reason: 'not_planned', labels: labels('bug') });
+      expect(categorizer.categorize(closed)).toBe('wontfix');
+      expect(categorizer.categorize({ ...closed, state_reason: 'completed' })).toBe('archive');
+    });
+
+    test('matches any entry of a list, ignoring case', () => {
+      expect(categorizer.categorize(issue({ labels: labels('Regression') }))).toBe('bugs');
+    });
+
+    test('matches "*" against any value and "none" against a missing one', () => {
+      expect(categorizer.categorize(issue({ milestone: { title: 'v2' } }))).toBe('release');
+      expect(categorizer.categorize(issue({ title: '[triage] crash' }))).toBe('unassigned');
+      expect(categorizer.categorize(issue({ title: '[triage] crash', assignees: [{ login: 'alice' }] }))).toBe('inbox');
+    });
+
+    test('matches patterns against the body', () => {
+      expect(categorizer.categorize(issue({ body: 'Fixes CVE-2024 in the parser' }))).toBe('security');
+    });
+
+    test('falls back to the default folder', () => {
+      expect(categorizer.categorize(issue())).toBe('inbox');
+    });
+
+    test('lists folders in rule order with the default last', () => {
+      expect(categorizer.getFolders()).toEqual(['wontfix', 'archive', 'bugs', 'release', 'unassigned', 'security', 'inbox']);
+    });
+
+    test('names folders after the rule name, or the capitalized folder', () => {
+      expect(categorizer.getFolderName('wontfix')).toBe('Not Planned');
+      expect(categorizer.getFolderName('bugs')).toBe('Bugs');
+    });
+  });
+});
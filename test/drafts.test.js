@@ -0,0 +1,64 @@
+import { parseDraft } from '../src/drafts.js';
+
+describe('parseDraft', () => {
+  test('reads the front matter', () => {
+    const draft = parseDraft([
+      '---',
+      'repo: acme/api',
+      'title: Add retries',
+      'labels: [enhancement, network]',
+      'assignees: "@alice, bob"',
+      'milestone: v2',
+      '---',
+      '',
+      'Requests should be retried.',
+      ''
+    ].join('\n'));
+
+    expect(draft).toEqual({
+      repo: 'acme/api',
+      title: 'Add retries',
+      body: 'Requests should be retried.',
+      labels: ['enhancement', 'network'],
+      assignees: ['alice', 'bob'],
+      milestone: 'v2'
+    });
+  });
+
+  test('takes the title from the leading heading', () => {
+    const draft = parseDraft('\n# Crash on start\n\nSteps:\n\n# Not a title\n');
+
+    expect(draft.title).toBe('Crash on start');
+    expect(draft.body).toBe('Steps:\n\n# Not a title');
+  });
+
+  test('keeps the heading in the body when the front matter has a title', () => {
+    const draft = parseDraft('---\ntitle: From front matter\n---\n# Heading\n\nText');
+
+    expect(draft.title).toBe('From front matter');
+    expect(draft.body).toBe('# Heading\n\nText');
+  });
+
+  test('works without front matter or title', () => {
+    expect(parseDraft('Just text')).toEqual({
+      repo: null,
+      title: null,
+      body: 'Just text',
+      labels: [],
+      assignees: [],
+      milestone: null
+    });
+  });
+
+  test('reads Windows line endings', () => {
+    const draft = parseDraft('---\r\ntitle: CRLF\r\nmilestone: 3\r\n---\r\nBody\r\n');
+
+    expect(draft.title).toBe('CRLF');
+    expect(draft.milestone).toBe(3);
+    expect(draft.body).toBe('Body');
+  });
+
+  test('accepts empty front matter', () => {
+    expect(parseDraft('---\n\n---\n# Title').title).toBe('Title');
+  });
+});
@@ -0,0 +1,73 @@
+import { resolveField, buildFrontMatter, renderFrontMatter } from '../src/frontMatter.js';
+
+const data = {
+  number: 7,
+  title: 'Crash on start',
+  state_reason: null,
+  labels: [{ name: 'bug' }, { name: 'p1' }],
+  assignees: [{ login: 'alice' }, { login: 'bob' }],
+  milestone: { title: 'v2' },
+  user: { login: 'carol' },
+  progress: { percentage: 50 },
+  tasks: [{ tags: ['a', 'b'] }, { tags: ['c'] }]
+};
+
+describe('resolveField', () => {
+  test('follows nested keys', () => {
+    expect(resolveField(data, 'milestone.title')).toBe('v2');
+    expect(resolveField(data, 'progress.percentage')).toBe(50);
+  });
+
+  test('collects the value of every list entry', () => {
+    expect(resolveField(data, 'labels.name')).toEqual(['bug', 'p1']);
+  });
+
+  test('indexes into lists with numeric segments', () => {
+    expect(resolveField(data, 'assignees.1.login')).toBe('bob');
+  });
+
+  test('flattens nested lists', () => {
+    expect(resolveField(data, 'tasks.tags')).toEqual(['a', 'b', 'c']);
+  });
+
+  test('returns undefined for missing paths', () => {
+    expect(resolveField(data, 'milestone.due_on')).toBeUndefined();
+    expect(resolveField({ milestone: null }, 'milestone.title')).toBeUndefined();
+  });
+
+  test('returns an empty list for an empty list', () => {
+    expect(resolveField({ labels: [] }, 'labels.name')).toEqual([]);
+  });
+});
+
+describe('buildFrontMatter', () => {
+  test('maps the default fields and leaves out missing ones', () => {
+    const frontMatter = buildFrontMatter(data);
+
+    expect(frontMatter).toMatchObject({
+      number: 7,
+      title: 'Crash on start',
+      labels: ['bug', 'p1'],
+      assignees: ['alice', 'bob'],
+      milestone: 'v2',
+      author: 'carol',
+      progress: 50
+    });
+    expect(frontMatter).not.toHaveProperty('url');
+    expect(frontMatter).not.toHaveProperty('complexity');
+  });
+
+  test('keeps null values', () => {
+    expect(buildFrontMatter(data, { reason: 'state_reason' })).toEqual({ reason: null });
+  });
+
+  test('skips fields mapped to nothing', () => {
+    expect(buildFrontMatter(data, { id: 'number', title: null, state: '' })).toEqual({ id: 7 });
+  });
+});
+
+describe('renderFrontMatter', () => {
+  test('wraps YAML in dashes', () => {
+    expect(renderFrontMatter({ number: 7, labels: ['bug'] })).toBe('---\nnumber: 7\nlabels:\n  - bug\n---\n\n');
+  });
+});
@@ -0,0 +1,177 @@
+import { GitHubClient } from '../src/github.js';
+
+// The client reports its progress on the console
+beforeAll(() => {
+  const quiet = () => {};
+  Object.assign(console, { log: quiet, warn: quiet, error: quiet });
+});
+
+const NEXT_LINK = '<https://api.github.com/repositories/1/issues?page=2>; rel="next"';
+
+function createClient(options = {}) {
+  const client = new GitHubClient('test-token', { useCache: false, ...options });
+  client.octokit.hook.wrap('request', () => {
+    throw new Error('unexpected request');
+  });
+  return client;
+}
+
+// A list endpoint answering with `pages`, Link header included
+function listEndpoint(pages) {
+  const calls = [];
+  const method = async params => {
+    calls.push(params);
+    return {
+      data: pages[params.page - 1] || [],
+      headers: params.page < pages.length ? { link: NEXT_LINK } : {}
+    };
+  };
+  return { method, calls };
+}
+
+const issue = (number, extra = {}) => ({ id: number, number, title: `Issue ${number}`, labels: [], ...extra });
+
+describe('GitHubClient.paginate', () => {
+  test('walks every page', async () => {
+    const client = createClient();
+    const { method, calls } = listEndpoint([[issue(1), issue(2)], [issue(3)]]);
+
+    const result = await client.paginate(method, { per_page: 2 });
+
+    expect(result.items.map(item => item.number)).toEqual([1, 2, 3]);
+    expect(result.truncated).toBe(false);
+    expect(calls).toHaveLength(2);
+  });
+
+  test('stops at maxItems and reports the list as truncated', async () => {
+    const client = createClient();
+    const { method, calls } = listEndpoint([[issue(1), issue(2)], [issue(3), issue(4)]]);
+
+    const result = await client.paginate(method, { per_page: 2 }, { maxItems: 3 });
+
+    expect(result.items.map(item => item.number)).toEqual([1, 2, 3]);
+    expect(result.truncated).toBe(true);
+    expect(calls).toHaveLength(2);
+  });
+
+  test('is not truncated when the last item fills maxItems exactly', async () => {
+    const client = createClient();
+    const { method } = listEndpoint([[issue(1), issue(2)]]);
+
+    const result = await client.paginate(method, { per_page: 100 }, { maxItems: 2 });
+
+    expect(result.items).toHaveLength(2);
+    expect(result.truncated).toBe(false);
+  });
+
+  test('filters items before they count against maxItems', async () => {
+    const client = createClient();
+    const { method } = listEndpoint([[issue(1), issue(2, { pull_request: {} }), issue(3)]]);
+
+    const result = await client.paginate(method, { per_page: 100 }, {
+      filter: item => !item.pull_request,
+      maxItems: 2
+    });
+
+    expect(result.items.map(item => item.number)).toEqual([1, 3]);
+    expect(result.truncated).toBe(false);
+  });
+});
+
+describe('GitHubClient.getIssues', () => {
+  test('marks a list cut by max_issues as truncated even after client-side filters shrink it', async () => {
+    const client = createClient({ maxIssues: 2 });
+    const { method } = listEndpoint([[
+      issue(1, { labels: [{ name: 'bug' }, { name: 'ui' }] }),
+      issue(2, { labels: [{ name: 'bug' }] }),
+      issue(3, { labels: [{ name: 'bug' }, { name: 'ui' }] })
+    ]]);
+    client.octokit.rest.issues.listForRepo = method;
+
+    const issues = await client.getIssues('o', 'r', { labels: ['bug', 'ui'], label_mode: 'all' });
+
+    expect(issues.map(item => item.number)).toEqual([1]);
+    expect(issues.truncated).toBe(true);
+  });
+
+  test('leaves complete lists unmarked', async () => {
+    const client = createClient({ maxIssues: 5 });
+    client.octokit.rest.issues.listForRepo = listEndpoint([[issue(1), issue(2)]]).method;
+
+    const issues = await client.getIssues('o', 'r', {});
+
+    expect(issues).toHaveLength(2);
+    expect(issues.truncated).toBeUndefined();
+  });
+});
+
+describe('GitHubClient.searchInWindows', () => {
+  // Search endpoint whose result count depends on the query
+  function stubSearch(client, totalFor) {
+    const queries = [];
+    client.conditionalRequest = async (_scope, _method, params) => {
+      queries.push(params.q);
+      const total = totalFor(params.q);
+      return {
+        data: { total_count: total, items: [issue(queries.length)] },
+        headers: {}
+      };
+    };
+    return queries;
+  }
+
+  test('sends the first window without a created: qualifier', async () => {
+    const client = createClient();
+    const queries = stubSearch(client, () => 1);
+
+    const result = await client.searchInWindows('repo:o/r is:issue', { per_page: 100 }, { from: null, to: null }, new Map());
+
+    expect(queries).toEqual(['repo:o/r is:issue']);
+    expect(result.items).toHaveLength(1);
+    expect(result.truncated).toBe(false);
+  });
+
+  test('splits a window with more than 1000 results, leaving the newer half open-ended', async () => {
+    const client = createClient();
+    const queries = stubSearch(client, q => (q.includes('created:') ? 10 : 1500));
+
+    const result = await client.searchInWindows('repo:o/r', { per_page: 100 }, { from: null, to: null }, new Map());
+
+    expect(queries).toHaveLength(3);
+    expect(queries[1]).toMatch(/^repo:o\/r created:2008-01-01T00:00:00Z\.\.\d{4}-\d\d-\d\dT[\d:]+Z$/);
+    expect(queries[2]).toMatch(/^repo:o\/r created:>=\d{4}-\d\d-\d\dT[\d:]+Z$/);
+    expect(result.items).toHaveLength(2);
+    expect(result.truncated).toBe(false);
+  });
+
+  test('reports results past the cap of a window too narrow to split', async () => {
+    const client = createClient();
+    stubSearch(client, () => 1500);
+    const from = new Date('2024-01-01T00:00:00Z');
+
+    const result = await client.searchInWindows('repo:o/r', { per_page: 100 }, { from, to: new Date(from.getTime() + 1000) }, new Map());
+
+    expect(result.truncated).toBe(true);
+  });
+
+  test('reports windows skipped once max_issues is reached', async () => {
+    const client = createClient({ maxIssues: 1 });
+    const queries = stubSearch(client, q => (q.includes('created:') ? 10 : 1500));
+
+    const result = await client.searchInWindows('repo:o/r', { per_page: 100 }, { from: null, to: null }, new Map());
+
+    expect(queries).toHaveLength(3);
+    expect(result.items).toHaveLength(1);
+    expect(result.truncated).toBe(true);
+  });
+
+  test('does not window queries that already constrain creation dates', async () => {
+    const client = createClient();
+    const queries = stubSearch(client, () => 1);
+
+    const result = await client.searchInWindows('repo:o/r created:>2024-01-01', { per_page: 100 }, null, new Map());
+
+    expect(queries).toEqual(['repo:o/r created:>2024-01-01']);
+    expect(result.truncated).toBe(false);
+  });
+});
@@ -0,0 +1,205 @@
+import { parseIssueFile, planIssueUpdate, applyTaskToggles } from '../src/localEdits.js';
+
+const ALL_FIELDS = ['title', 'body', 'labels', 'assignees', 'tasks'];
+
+const base = {
+  title: 'Crash on start',
+  body: 'Steps:\n\n- [ ] reproduce\n- [ ] fix',
+  labels: [{ name: 'bug' }],
+  assignees: [{ login: 'alice' }]
+};
+
+// What the local file says when nothing was edited
+const unchanged = {
+  title: base.title,
+  body: base.body,
+  labels: ['bug'],
+  assignees: ['alice']
+};
+
+const local = fields => ({ ...unchanged, ...fields });
+const remote = fields => ({ ...base, ...fields });
+
+describe('parseIssueFile', () => {
+  test('reads the editable fields of a rendered file', () => {
+    const content = [
+      '---',
+      'number: 1',
+      '---',
+      '',
+      '# Fix &lt;login&gt;',
+      '',
+      '## Labels',
+      '- `bug`',
+      '- `good first issue`',
+      '',
+      '## Assignees',
+      '- @alice',
+      '',
+      '<!-- gis:body-start -->',
+      'Body &amp; more',
+      '<!-- gis:body-end -->',
+      '',
+      '<!-- gis:local-start -->\n# Not the title\n<!-- gis:local-end -->'
+    ].join('\n');
+
+    expect(parseIssueFile(content)).toEqual({
+      title: 'Fix <login>',
+      body: 'Body & more',
+      labels: ['bug', 'good first issue'],
+      assignees: ['alice']
+    });
+  });
+
+  test('returns null for fields the file does not show', () => {
+    expect(parseIssueFile('# Title\n\nfree text\n')).toEqual({ title: 'Title', body: null, labels: null, assignees: null });
+  });
+
+  test('reads the empty-body placeholder as an empty body', () => {
+    const content = '<!-- gis:body-start -->\nNo description provided.\n<!-- gis:body-end -->';
+    expect(parseIssueFile(content).body).toBe('');
+  });
+});
+
+describe('planIssueUpdate', () => {
+  test('plans nothing without local edits', () => {
+    const plan = planIssueUpdate(base, unchanged, remote({ title: 'Renamed on GitHub' }), ALL_FIELDS);
+
+    expect(plan).toEqual({ update: {}, changes: [], conflicts: [], skipped: [] });
+  });
+
+  test('pushes a title edited only locally', () => {
+    const plan = planIssueUpdate(base, local({ title: 'Crash on launch' }), remote(), ALL_FIELDS);
+
+    expect(plan.update).toEqual({ title: 'Crash on launch' });
+    expect(plan.changes).toEqual([{ field: 'title', from: 'Crash on start', to: 'Crash on launch' }]);
+  });
+
+  test('reports a conflict when both sides changed the title', () => {
+    const plan = planIssueUpdate(base, local({ title: 'Local' }), remote({ title: 'Remote' }), ALL_FIELDS);
+
+    expect(plan.update).toEqual({});
+    expect(plan.conflicts).toEqual([{ field: 'title', message: 'title was also changed on GitHub' }]);
+  });
+
+  test('lets local edits win conflicts with force', () => {
+    const plan = planIssueUpdate(base, local({ title: 'Local' }), remote({ title: 'Remote' }), ALL_FIELDS, { force: true });
+
+    expect(plan.update).toEqual({ title: 'Local' });
+    expect(plan.conflicts).toEqual([]);
+  });
+
+  test('plans nothing when both sides made the same edit', () => {
+    const plan = planIssueUpdate(base, local({ title: 'Same' }), remote({ title: 'Same' }), ALL_FIELDS);
+
+    expect(plan.update).toEqual({});
+    expect(plan.conflicts).toEqual([]);
+  });
+
+  test('lists edited fields that are not allowed as skipped', () => {
+    const plan = planIssueUpdate(base, local({ title: 'Local', body: 'Rewritten' }), remote(), ['labels']);
+
+    expect(plan.update).toEqual({});
+    expect(plan.skipped).toEqual(['title', 'body']);
+  });
+
+  test('merges label edits into the current remote labels', () => {
+    const plan = planIssueUpdate(
+      base,
+      local({ labels: ['p1'] }),
+      remote({ labels: [{ name: 'bug' }, { name: 'triage' }] }),
+      ALL_FIELDS
+    );
+
+    expect(plan.update).toEqual({ labels: ['triage', 'p1'] });
+    expect(plan.changes).toEqual([{ field: 'labels', added: ['p1'], removed: ['bug'] }]);
+  });
+
+  test('skips list edits that GitHub already has', () => {
+    const plan = planIssueUpdate(base, local({ assignees: ['alice', 'bob'] }), remote({ assignees: [{ login: 'alice' }, { login: 'bob' }] }), ALL_FIELDS);
+
+    expect(plan.update).toEqual({});
+  });
+
+  test('does not read a missing list section as removing every entry', () => {
+    const plan = planIssueUpdate(base, local({ labels: null }), remote(), ALL_FIELDS);
+
+    expect(plan.update).toEqual({});
+  });
+
+  test('applies checkbox toggles to the remote body', () => {
+    const remoteBody = 'Steps (edited on GitHub):\n\n- [ ] reproduce\n- [ ] fix';
+    const plan = planIssueUpdate(
+      base,
+      local({ body: 'Steps:\n\n- [x] reproduce\n- [ ] fix' }),
+      remote({ body: remoteBody }),
+      ALL_FIELDS
+    );
+
+    expect(plan.update).toEqual({ body: 'Steps (edited on GitHub):\n\n- [x] reproduce\n- [ ] fix' });
+    expect(plan.changes).toEqual([{ field: 'tasks', tasks: [{ text: 'reproduce', checked: true }] }]);
+    expect(plan.skipped).toEqual([]);
+  });
+
+  test('reports toggled tasks that were removed on GitHub', () => {
+    const plan = planIssueUpdate(
+      base,
+      local({ body: 'Steps:\n\n- [x] reproduce\n- [ ] fix' }),
+      remote({ body: '- [ ] fix' }),
+      ALL_FIELDS
+    );
+
+    expect(plan.update).toEqual({});
+    expect(plan.conflicts).toEqual([{ field: 'tasks', message: 'task "reproduce" no longer exists on GitHub' }]);
+  });
+
+  test('skips checkbox toggles unless tasks are allowed', () => {
+    const plan = planIssueUpdate(base, local({ body: 'Steps:\n\n- [x] reproduce\n- [ ] fix' }), remote(), ['title']);
+
+    expect(plan.update).toEqual({});
+    expect(plan.skipped).toEqual(['tasks']);
+  });
+
+  test('sends the whole body for body edits and ignores toggles', () => {
+    const body = 'Steps:\n\n- [x] reproduce\n- [ ] fix\n- [ ] test';
+    const plan = planIssueUpdate(base, local({ body }), remote(), ALL_FIELDS);
+
+    expect(plan.update).toEqual({ body });
+    expect(plan.changes.map(change => change.field)).toEqual(['body']);
+  });
+
+  test('reports a conflict when both sides rewrote the body', () => {
+    const plan = planIssueUpdate(base, local({ body: 'Local rewrite' }), remote({ body: 'Remote rewrite' }), ALL_FIELDS);
+
+    expect(plan.update).toEqual({});
+    expect(plan.conflicts).toEqual([{ field: 'body', message: 'body was also changed on GitHub' }]);
+  });
+});
+
+describe('applyTaskToggles', () => {
+  test('sets each matching checkbox once, in order', () => {
+    const body = '- [ ] same\n* [ ] same\n  - [X] nested';
+    const result = applyTaskToggles(body, [
+      { text: 'same', checked: true },
+      { text: 'same', checked: true },
+      { text: 'nested', checked: false }
+    ]);
+
+    expect(result.body).toBe('- [x] same\n* [x] same\n  - [ ] nested');
+    expect(result.applied).toHaveLength(3);
+    expect(result.missing).toEqual([]);
+  });
+
+  test('leaves checkboxes that are already in the wanted state', () => {
+    const result = applyTaskToggles('- [x] done', [{ text: 'done', checked: true }]);
+
+    expect(result.body).toBe('- [x] done');
+    expect(result.applied).toEqual([]);
+  });
+
+  test('returns tasks it could not find', () => {
+    const result = applyTaskToggles('- [ ] other', [{ text: 'gone', checked: true }]);
+
+    expect(result.missing).toEqual([{ text: 'gone', checked: true }]);
+  });
+});
@@ -0,0 +1,50 @@
+import { extractLocalNotes, hasLocalNotes, mergeLocalNotes } from '../src/localNotes.js';
+
+const region = notes => `<!-- gis:local-start -->${notes}<!-- gis:local-end -->`;
+
+describe('extractLocalNotes', () => {
+  test('returns the non-empty regions in file order', () => {
+    const content = `# Title\n\n${region('\nfirst\n')}\n\nbody\n\n${region('\n\n')}\n${region('second')}`;
+
+    expect(extractLocalNotes(content)).toEqual(['\nfirst\n', 'second']);
+  });
+
+  test('returns nothing for missing content', () => {
+    expect(extractLocalNotes(null)).toEqual([]);
+    expect(extractLocalNotes('# Title')).toEqual([]);
+  });
+});
+
+describe('hasLocalNotes', () => {
+  test('ignores empty regions', () => {
+    expect(hasLocalNotes(region('\n  \n'))).toBe(false);
+    expect(hasLocalNotes(region('todo'))).toBe(true);
+  });
+});
+
+describe('mergeLocalNotes', () => {
+  const rendered = `# New title\n\n${region('\n\n')}\n\nNew body\n`;
+
+  test('fills the template regions in order', () => {
+    expect(mergeLocalNotes(rendered, ['\nmine\n'])).toBe(`# New title\n\n${region('\nmine\n')}\n\nNew body\n`);
+  });
+
+  test('appends notes the template has no region for', () => {
+    expect(mergeLocalNotes(rendered, ['one', 'two'])).toBe(`# New title\n\n${region('one')}\n\nNew body\n\n${region('two')}\n`);
+    expect(mergeLocalNotes('# Plain\n\n', ['one'])).toBe(`# Plain\n\n${region('one')}\n`);
+  });
+
+  test('keeps unused template regions', () => {
+    const twoRegions = `${region('\n')}\n${region('\n')}`;
+    expect(mergeLocalNotes(twoRegions, ['one'])).toBe(`${region('one')}\n${region('\n')}`);
+  });
+
+  test('leaves content alone without notes', () => {
+    expect(mergeLocalNotes(rendered, [])).toBe(rendered);
+  });
+
+  test('survives a round trip', () => {
+    const notes = extractLocalNotes(mergeLocalNotes(rendered, ['a', 'b']));
+    expect(notes).toEqual(['a', 'b']);
+  });
+});
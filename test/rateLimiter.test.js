@@ -0,0 +1,194 @@
+import { RateLimitScheduler, requestResource } from '../src/rateLimiter.js';
+
+// Retries are reported on the console
+beforeAll(() => {
+  const quiet = () => {};
+  Object.assign(console, { log: quiet, warn: quiet });
+});
+
+const NOW = 1700000000000;
+
+const headers = (remaining, limit = 5000, resetIn = 60 * 1000) => ({
+  'x-ratelimit-limit': String(limit),
+  'x-ratelimit-remaining': String(remaining),
+  'x-ratelimit-reset': String(Math.floor((NOW + resetIn) / 1000))
+});
+
+function rateLimitError(status, message, responseHeaders = {}) {
+  return Object.assign(new Error(message), { status, response: { headers: responseHeaders } });
+}
+
+describe('requestResource', () => {
+  test('picks the bucket from the URL', () => {
+    expect(requestResource({ url: '/repos/o/r/issues' })).toBe('core');
+    expect(requestResource({ url: '/graphql' })).toBe('graphql');
+    expect(requestResource({ url: '/search/issues' })).toBe('search');
+    expect(requestResource({ url: '/search/code' })).toBe('code_search');
+  });
+});
+
+describe('RateLimitScheduler.delayFor', () => {
+  test('spaces requests minDelay apart', () => {
+    const scheduler = new RateLimitScheduler({ minDelay: 100 });
+    expect(scheduler.delayFor('core', NOW)).toBe(0);
+
+    scheduler.lastStarts.set('core', NOW - 30);
+    expect(scheduler.delayFor('core', NOW)).toBe(70);
+    expect(scheduler.delayFor('search', NOW)).toBe(0);
+  });
+
+  test('does not slow down while plenty of the budget is left', () => {
+    const scheduler = new RateLimitScheduler({ minDelay: 0 });
+    scheduler.update('core', headers(4000));
+    scheduler.lastStarts.set('core', NOW);
+
+    expect(scheduler.delayFor('core', NOW)).toBe(0);
+  });
+
+  test('spreads the remaining budget over the time to the reset', () => {
+    const scheduler = new RateLimitScheduler({ minDelay: 0, threshold: 0.2 });
+    scheduler.update('core', headers(100, 5000, 60 * 1000));
+    scheduler.lastStarts.set('core', NOW);
+
+    expect(scheduler.delayFor('core', NOW)).toBe(600);
+  });
+
+  test('waits for the reset once the budget is used up', () => {
+    const scheduler = new RateLimitScheduler({ minDelay: 0 });
+    scheduler.update('search', headers(0, 30, 20 * 1000));
+
+    expect(scheduler.delayFor('search', NOW)).toBe(20 * 1000);
+    expect(scheduler.delayFor('core', NOW)).toBe(0);
+  });
+
+  test('ignores budgets whose reset has passed', () => {
+    const scheduler = new RateLimitScheduler({ minDelay: 0 });
+    scheduler.update('core', headers(0, 5000, -1000));
+
+    expect(scheduler.delayFor('core', NOW)).toBe(0);
+  });
+
+  test('applies a pause to every resource', () => {
+    const scheduler = new RateLimitScheduler({ minDelay: 0 });
+    scheduler.pausedUntil = NOW + 5000;
+
+    expect(scheduler.delayFor('core', NOW)).toBe(5000);
+    expect(scheduler.delayFor('graphql', NOW)).toBe(5000);
+  });
+
+  test('files budgets under the resource GitHub names', () => {
+    const scheduler = new RateLimitScheduler({ minDelay: 0 });
+    scheduler.update('core', { ...headers(0), 'x-ratelimit-resource': 'integration_manifest' });
+
+    expect(scheduler.resources.has('core')).toBe(false);
+    expect(scheduler.resources.get('integration_manifest').remaining).toBe(0);
+  });
+});
+
+describe('RateLimitScheduler.retryWait', () => {
+  test('does not retry other errors', () => {
+    const scheduler = new RateLimitScheduler();
+
+    expect(scheduler.retryWait('core', rateLimitError(404, 'Not Found'))).toBeNull();
+    expect(scheduler.retryWait('core', rateLimitError(403, 'Resource not accessible by integration'))).toBeNull();
+  });
+
+  test('follows retry-after and pauses every resource', () => {
+    const scheduler = new RateLimitScheduler();
+    const before = Date.now();
+
+    expect(scheduler.retryWait('core', rateLimitError(429, 'Too Many Requests', { 'retry-after': '3' }))).toBe(3000);
+    expect(scheduler.pausedUntil).toBeGreaterThanOrEqual(before + 3000);
+  });
+
+  test('waits a minute after a secondary rate limit without retry-after', () => {
+    const scheduler = new RateLimitScheduler();
+
+    expect(scheduler.retryWait('core', rateLimitError(403, 'You have exceeded a secondary rate limit'))).toBe(60 * 1000);
+  });
+
+  test('waits for the reset of an exhausted budget without pausing others', () => {
+    const scheduler = new RateLimitScheduler();
+    scheduler.update('search', {
+      'x-ratelimit-limit': '30',
+      'x-ratelimit-remaining': '0',
+      'x-ratelimit-reset': String(Math.ceil(Date.now() / 1000) + 30)
+    });
+
+    const wait = scheduler.retryWait('search', rateLimitError(403, 'API rate limit exceeded'));
+
+    expect(wait).toBeGreaterThan(29 * 1000);
+    expect(wait).toBeLessThanOrEqual(31 * 1000);
+    expect(scheduler.pausedUntil).toBe(0);
+  });
+});
+
+describe('RateLimitScheduler.responseRetryWait', () => {
+  test('retries GraphQL RATE_LIMITED errors', () => {
+    const scheduler = new RateLimitScheduler();
+    const response = { headers: {}, data: { errors: [{ type: 'RATE_LIMITED', message: 'API rate limit exceeded' }] } };
+
+    expect(scheduler.responseRetryWait('graphql', response)).toBe(60 * 1000);
+  });
+
+  test('ignores other responses', () => {
+    const scheduler = new RateLimitScheduler();
+
+    expect(scheduler.responseRetryWait('graphql', { headers: {}, data: { errors: [{ type: 'NOT_FOUND' }] } })).toBeNull();
+    expect(scheduler.responseRetryWait('core', { headers: {}, data: [] })).toBeNull();
+  });
+});
+
+describe('RateLimitScheduler.schedule', () => {
+  test('sends a rate-limited request again', async () => {
+    const scheduler = new RateLimitScheduler({ minDelay: 0 });
+    let calls = 0;
+
+    const response = await scheduler.schedule({ url: '/repos/o/r' }, async () => {
+      calls++;
+      if (calls === 1) {
+        throw rateLimitError(429, 'Too Many Requests', { 'retry-after': '0' });
+      }
+      return { headers: {}, data: 'ok' };
+    });
+
+    expect(response.data).toBe('ok');
+    expect(calls).toBe(2);
+  });
+
+  test('gives up after maxRetries', async () => {
+    const scheduler = new RateLimitScheduler({ minDelay: 0, maxRetries: 2 });
+    let calls = 0;
+
+    await expect(scheduler.schedule({ url: '/repos/o/r' }, async () => {
+      calls++;
+      throw rateLimitError(429, 'Too Many Requests', { 'retry-after': '0' });
+    })).rejects.toThrow('Too Many Requests');
+    expect(calls).toBe(3);
+  });
+
+  test('fails instead of waiting longer than maxWait', async () => {
+    const scheduler = new RateLimitScheduler({ minDelay: 0, maxWait: 1000 });
+    scheduler.update('core', {
+      'x-ratelimit-limit': '5000',
+      'x-ratelimit-remaining': '0',
+      'x-ratelimit-reset': String(Math.ceil(Date.now() / 1000) + 600)
+    });
+
+    await expect(scheduler.schedule({ url: '/repos/o/r' }, async () => ({ headers: {} })))
+      .rejects.toThrow('GitHub rate limit for core exhausted');
+  });
+
+  test('counts started requests against the budget', async () => {
+    const scheduler = new RateLimitScheduler({ minDelay: 0 });
+    scheduler.update('core', {
+      'x-ratelimit-limit': '5000',
+      'x-ratelimit-remaining': '4000',
+      'x-ratelimit-reset': String(Math.ceil(Date.now() / 1000) + 600)
+    });
+
+    await scheduler.schedule({ url: '/repos/o/r' }, async () => ({ headers: {} }));
+
+    expect(scheduler.resources.get('core').remaining).toBe(3999);
+  });
+});
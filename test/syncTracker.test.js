@@ -0,0 +1,166 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SyncTracker } from '../src/syncTracker.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// Trackers are only read from; nothing is saved to .sync/
+function createTracker() {
+  return new SyncTracker({ owner: 'jest-owner', repo: 'jest-repo' });
+}
+
+const issue = (number, extra = {}) => ({
+  number,
+  title: `Issue ${number}`,
+  state: 'open',
+  html_url: `https://github.com/jest-owner/jest-repo/issues/${number}`,
+  created_at: '2024-01-01T00:00:00Z',
+  updated_at: '2024-01-01T00:00:00Z',
+  labels: [],
+  assignees: [],
+  ...extra
+});
+
+function track(tracker, issues) {
+  for (const item of issues) {
+    tracker.syncData.issues[item.number] = {
+      hash: tracker.generateIssueHash(item),
+      filePath: `/nonexistent/${item.number}.md`,
+      state: item.state,
+      snapshot: tracker.createSnapshot(item)
+    };
+  }
+}
+
+describe('SyncTracker.canFetchIncrementally', () => {
+  const filters = { state: 'open' };
+
+  function syncedTracker(lastFullSyncAgo) {
+    const tracker = createTracker();
+    track(tracker, [issue(1)]);
+    tracker.updateLastSyncTime({
+      startedAt: new Date(Date.now() - lastFullSyncAgo).toISOString(),
+      full: true,
+      filters
+    });
+    return tracker;
+  }
+
+  test('needs a full sync first', () => {
+    expect(createTracker().canFetchIncrementally(filters, 24)).toBe(false);
+  });
+
+  test('is allowed within the reconcile interval', () => {
+    expect(syncedTracker(HOUR).canFetchIncrementally(filters, 24)).toBe(true);
+  });
+
+  test('runs a full sync once the reconcile interval has passed', () => {
+    expect(syncedTracker(25 * HOUR).canFetchIncrementally(filters, 24)).toBe(false);
+  });
+
+  test('runs a full sync when the filters changed', () => {
+    expect(syncedTracker(HOUR).canFetchIncrementally({ state: 'all' }, 24)).toBe(false);
+  });
+
+  test('runs a full sync when a tracked issue has no snapshot', () => {
+    const tracker = syncedTracker(HOUR);
+    delete tracker.syncData.issues[1].snapshot;
+
+    expect(tracker.canFetchIncrementally(filters, 24)).toBe(false);
+  });
+});
+
+describe('SyncTracker.mergeIncrementalIssues', () => {
+  test('adds the snapshots of issues that did not change', () => {
+    const tracker = createTracker();
+    track(tracker, [issue(1), issue(2)]);
+
+    const merged = tracker.mergeIncrementalIssues([issue(2, { title: 'Renamed' }), issue(3)], { state: 'open' });
+    const byNumber = new Map(merged.map(item => [item.number, item]));
+
+    expect([...byNumber.keys()].sort()).toEqual([1, 2, 3]);
+    expect(byNumber.get(1)._syncSnapshot).toBe(true);
+    expect(byNumber.get(2).title).toBe('Renamed');
+    expect(byNumber.get(2)._syncSnapshot).toBeUndefined();
+  });
+
+  test('leaves out changed issues that no longer match the filters', () => {
+    const tracker = createTracker();
+    track(tracker, [issue(1), issue(2)]);
+
+    const merged = tracker.mergeIncrementalIssues([issue(2, { state: 'closed' })], { state: 'open' });
+
+    expect(merged.map(item => item.number)).toEqual([1]);
+  });
+
+  test('treats merged snapshots as unchanged', () => {
+    const tracker = createTracker();
+    track(tracker, [issue(1)]);
+
+    const merged = tracker.mergeIncrementalIssues([], { state: 'open' });
+    const changes = tracker.getChangedIssues(merged);
+
+    expect(changes.unchanged.map(item => item.number)).toEqual([1]);
+    expect(changes.deleted).toEqual([]);
+  });
+});
+
+describe('SyncTracker.cleanupDeletedIssues', () => {
+  let dir;
+
+  // Kept files are reported on the console
+  beforeAll(() => {
+    console.warn = () => {};
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gis-sync-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function trackedFile(tracker, number, content) {
+    const filePath = path.join(dir, `${number}.md`);
+    fs.writeFileSync(filePath, content);
+    tracker.syncData.issues[number] = { hash: 'x', filePath, state: 'open', snapshot: null };
+    return filePath;
+  }
+
+  test('deletes files without local notes', () => {
+    const tracker = createTracker();
+    const filePath = trackedFile(tracker, 1, '# Issue 1\n');
+
+    const { deleted } = tracker.getChangedIssues([]);
+
+    expect(tracker.cleanupDeletedIssues(deleted)).toEqual([filePath]);
+    expect(fs.existsSync(filePath)).toBe(false);
+    expect(tracker.getKeptFiles()).toEqual([]);
+  });
+
+  test('keeps files with local notes and remembers them', () => {
+    const tracker = createTracker();
+    const filePath = trackedFile(tracker, 1, '<!-- gis:local-start -->mine<!-- gis:local-end -->');
+
+    const { deleted } = tracker.getChangedIssues([]);
+
+    expect(tracker.cleanupDeletedIssues(deleted)).toEqual([]);
+    expect(fs.existsSync(filePath)).toBe(true);
+    expect(tracker.syncData.issues[1]).toBeUndefined();
+    expect(tracker.getKeptFiles()).toMatchObject([{ number: 1, filePath, state: 'open' }]);
+  });
+
+  test('tracks a returning issue at its kept file', () => {
+    const tracker = createTracker();
+    const filePath = trackedFile(tracker, 1, '<!-- gis:local-start -->mine<!-- gis:local-end -->');
+    tracker.cleanupDeletedIssues(tracker.getChangedIssues([]).deleted);
+
+    const changes = tracker.getChangedIssues([issue(1)]);
+
+    expect(changes.updated.map(item => item.number)).toEqual([1]);
+    expect(tracker.getIssueData(1).filePath).toBe(filePath);
+    expect(tracker.getKeptFiles()).toEqual([]);
+  });
+});
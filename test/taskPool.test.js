@@ -0,0 +1,83 @@
+import { TaskPool } from '../src/taskPool.js';
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 1));
+
+// A task that tracks how many tasks of the pool run at the same time
+function tracked(stats, result) {
+  return async () => {
+    stats.running++;
+    stats.peak = Math.max(stats.peak, stats.running);
+    await tick();
+    stats.running--;
+    return result;
+  };
+}
+
+describe('TaskPool', () => {
+  test('runs at most `concurrency` tasks at once', async () => {
+    const pool = new TaskPool(3);
+    const stats = { running: 0, peak: 0 };
+
+    await Promise.all(Array.from({ length: 10 }, (_, index) => pool.run(tracked(stats, index))));
+
+    expect(stats.peak).toBe(3);
+    expect(pool.active).toBe(0);
+    expect(pool.waiting).toEqual([]);
+  });
+
+  test('runs at least one task at a time', async () => {
+    const pool = new TaskPool(0);
+    const stats = { running: 0, peak: 0 };
+
+    await pool.map([1, 2, 3], () => tracked(stats)());
+
+    expect(pool.concurrency).toBe(1);
+    expect(stats.peak).toBe(1);
+  });
+
+  test('starts waiting tasks in order', async () => {
+    const pool = new TaskPool(1);
+    const started = [];
+
+    await Promise.all([1, 2, 3].map(number => pool.run(async () => {
+      started.push(number);
+      await tick();
+    })));
+
+    expect(started).toEqual([1, 2, 3]);
+  });
+
+  test('frees the slot of a failed task', async () => {
+    const pool = new TaskPool(1);
+
+    const failed = pool.run(async () => {
+      throw new Error('boom');
+    });
+    const next = pool.run(async () => 'next');
+
+    await expect(failed).rejects.toThrow('boom');
+    await expect(next).resolves.toBe('next');
+    expect(pool.active).toBe(0);
+  });
+
+  test('map keeps the order of the items', async () => {
+    const pool = new TaskPool(2);
+
+    const results = await pool.map([30, 10, 20], async (delay, index) => {
+      await new Promise(resolve => setTimeout(resolve, delay));
+      return `${index}:${delay}`;
+    });
+
+    expect(results).toEqual(['0:30', '1:10', '2:20']);
+  });
+
+  test('bounds the tasks of several maps together', async () => {
+    const pool = new TaskPool(2);
+    const stats = { running: 0, peak: 0 };
+
+    // Like a sync: repositories fan out, their fetches go through the same pool
+    await Promise.all(['a', 'b', 'c'].map(() => pool.map([1, 2, 3], () => tracked(stats)())));
+
+    expect(stats.peak).toBe(2);
+  });
+});
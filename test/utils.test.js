@@ -0,0 +1,132 @@
+import { generateFilename, createFilenameMatcher, createSlug, safePathSegment } from '../src/utils.js';
+
+const issue = {
+  number: 42,
+  title: 'Fix login bug',
+  state: 'closed',
+  user: { login: 'Alice' },
+  milestone: { title: 'v1.2' },
+  created_at: '2024-03-05T23:30:00Z',
+  updated_at: '2024-03-06T08:00:00Z',
+  closed_at: null
+};
+
+describe('generateFilename', () => {
+  test('uses "{number}-{slug}" by default', () => {
+    expect(generateFilename(issue)).toBe('42-fix-login-bug.md');
+  });
+
+  test('fills every token', () => {
+    expect(generateFilename(issue, '{state}/{author}-{milestone}-{number}')).toBe('closed-alice-v12-42.md');
+  });
+
+  test('formats dates in UTC', () => {
+    expect(generateFilename(issue, '{created:YYYY}-{number}')).toBe('2024-42.md');
+    expect(generateFilename(issue, '{created}-{updated:YYYYMMDD-HHmm}-{number}')).toBe('2024-03-05-20240306-0800-42.md');
+  });
+
+  test('writes "none" for a missing date', () => {
+    expect(generateFilename(issue, '{number}-{closed}')).toBe('42-none.md');
+  });
+
+  test('keeps unknown tokens as they are', () => {
+    expect(generateFilename(issue, '{number}-{nope}')).toBe('42-{nope}.md');
+  });
+
+  test('needs an issue number', () => {
+    expect(generateFilename({ title: 'x' })).toBe('unknown-issue.md');
+  });
+});
+
+describe('createFilenameMatcher', () => {
+  test('captures the issue number of generated names', () => {
+    const pattern = '{created:YYYY}-{number}-{slug}';
+    const match = generateFilename(issue, pattern).match(createFilenameMatcher(pattern));
+
+    expect(match[1]).toBe('42');
+  });
+
+  test('does not match other markdown files', () => {
+    expect('index.md').not.toMatch(createFilenameMatcher());
+  });
+});
+
+describe('createSlug', () => {
+  const title = 'ログイン画面のバグ';
+
+  test('keeps only ASCII letters and digits by default', () => {
+    expect(createSlug('Fix: Login & Signup (v2)!')).toBe('fix-login-signup-v2');
+    expect(createSlug(title)).toBe('issue');
+  });
+
+  test('keeps letters of any script with "unicode"', () => {
+    expect(createSlug(title, { strategy: 'unicode' })).toBe('ログイン画面のバグ');
+    expect(createSlug('Café déjà vu', { strategy: 'unicode' })).toBe('café-déjà-vu');
+  });
+
+  test('romanizes kana and strips accents with "transliterate"', () => {
+    expect(createSlug('Café déjà vu', { strategy: 'transliterate' })).toBe('cafe-deja-vu');
+    expect(createSlug('チェック きっと', { strategy: 'transliterate' })).toBe('chekku-kitto');
+  });
+
+  test('keeps scripts "transliterate" has no mapping for as words of their own', () => {
+    expect(createSlug(title, { strategy: 'transliterate' })).toBe('roguin-画面-nobagu');
+    expect(createSlug('不具合', { strategy: 'transliterate' })).toBe('不具合');
+    expect(createSlug('Ошибка входа', { strategy: 'transliterate' })).toBe('ошибка-входа');
+  });
+
+  test('normalizes to NFC', () => {
+    expect(createSlug('cafe\u0301', { strategy: 'unicode' })).toBe('caf\u00e9');
+  });
+
+  test('is unlimited by default', () => {
+    const long = 'word '.repeat(40);
+    expect(createSlug(long)).toHaveLength(40 * 5 - 1);
+  });
+
+  test('cuts at a word boundary within maxLength', () => {
+    expect(createSlug('a very long english title', { maxLength: 15 })).toBe('a-very-long');
+  });
+
+  test('cuts inside a word when there is no boundary in the second half', () => {
+    expect(createSlug('a supercalifragilistic', { maxLength: 10 })).toBe('a-supercal');
+  });
+
+  test('counts maxLength in UTF-8 bytes, never splitting a character', () => {
+    const slug = createSlug('日本語のタイトル'.repeat(5), { strategy: 'unicode', maxLength: 20 });
+
+    expect(Buffer.byteLength(slug)).toBeLessThanOrEqual(20);
+    expect(slug).toBe('日本語のタイ');
+  });
+
+  test('falls back to "issue" for empty results', () => {
+    expect(createSlug('!!!')).toBe('issue');
+    expect(createSlug(null)).toBe('issue');
+  });
+});
+
+describe('safePathSegment', () => {
+  test('replaces characters Windows does not allow', () => {
+    expect(safePathSegment('a:b*c?"d<e>f|g')).toBe('a-b-c--d-e-f-g');
+  });
+
+  test('drops trailing dots and spaces', () => {
+    expect(safePathSegment('name. . ')).toBe('name');
+  });
+
+  test('appends "_" to reserved device names', () => {
+    expect(safePathSegment('con')).toBe('con_');
+    expect(safePathSegment('NUL.md')).toBe('NUL_.md');
+  });
+
+  test('uses the fallback for empty names', () => {
+    expect(safePathSegment('...', 'fallback')).toBe('fallback');
+  });
+});
+
+describe('generateFilename with slug options', () => {
+  test('passes the strategy and length limit on to the slug', () => {
+    const options = { strategy: 'unicode', maxLength: 9 };
+    expect(generateFilename({ number: 7, title: 'ログイン画面のバグ' }, undefined, options)).toBe('7-ログイ.md');
+  });
+});